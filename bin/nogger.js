@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+
+// Command-line client for a Nogger server; see `nogger help`
+const { main } = require('../lib/cli');
+
+// Piping into `head` closes stdout early, which is not an error
+process.stdout.on('error', error => {
+    if (error.code === 'EPIPE') {
+        process.exit(0);
+    }
+    throw error;
+});
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
@@ -0,0 +1,320 @@
+const fs = require('fs');
+const { createId } = require('./logger');
+const { getPath } = require('./query');
+const { postJson } = require('./http-client');
+
+const RULE_KINDS = ['threshold', 'match', 'new-title'];
+
+const OPERATORS = {
+    '=': (actual, expected) => actual !== undefined && String(actual) === String(expected),
+    '!=': (actual, expected) => actual === undefined || String(actual) !== String(expected),
+    '>': (actual, expected) => Number(actual) > Number(expected),
+    '>=': (actual, expected) => Number(actual) >= Number(expected),
+    '<': (actual, expected) => Number(actual) < Number(expected),
+    '<=': (actual, expected) => Number(actual) <= Number(expected),
+    'contains': (actual, expected) => actual !== undefined && String(actual).includes(String(expected)),
+    'exists': actual => actual !== undefined && actual !== null
+};
+
+// Reads alert settings from the NOGGER_ALERTS env var (JSON) or from a JSON file holding
+// `{ "webhookUrl": "...", "format": "json" | "slack", "rules": [...] }`
+function loadAlertConfig(file) {
+    let raw = process.env.NOGGER_ALERTS;
+    if (!raw) {
+        if (!fs.existsSync(file)) {
+            return {};
+        }
+        raw = fs.readFileSync(file, 'utf8');
+    }
+    return JSON.parse(raw);
+}
+
+function normalizeRule(rule, index) {
+    const {
+        id = `rule-${index + 1}`,
+        name = id,
+        kind,
+        project,
+        type,
+        where = [],
+        count,
+        windowMinutes,
+        cooldownMinutes = 15,
+        webhookUrl,
+        format
+    } = rule || {};
+
+    if (!RULE_KINDS.includes(kind)) {
+        throw new Error(`Alert rule "${id}" has invalid kind. Allowed kinds: ${RULE_KINDS.join(', ')}`);
+    }
+    if (!Array.isArray(where)) {
+        throw new Error(`Alert rule "${id}": where must be an array of conditions`);
+    }
+    for (const condition of where) {
+        if (!condition || typeof condition.field !== 'string' || !OPERATORS[condition.op || '=']) {
+            throw new Error(`Alert rule "${id}" has an invalid condition. Operators: ${Object.keys(OPERATORS).join(', ')}`);
+        }
+    }
+    if (kind === 'threshold' && !(count >= 0 && windowMinutes > 0)) {
+        throw new Error(`Threshold rule "${id}" needs a count and a positive windowMinutes`);
+    }
+
+    return { id, name, kind, project, type, where, count, windowMinutes, cooldownMinutes, webhookUrl, format };
+}
+
+function matchesRule(rule, entry) {
+    if (rule.project && entry.project !== rule.project) {
+        return false;
+    }
+    if (rule.type && entry.type !== rule.type) {
+        return false;
+    }
+    return rule.where.every(({ field, op = '=', value }) => OPERATORS[op](getPath(entry, field), value));
+}
+
+function describe(rule, entry, count) {
+    switch (rule.kind) {
+        case 'threshold':
+            return `${count} ${rule.type ? `${rule.type} ` : ''}events in the last ${rule.windowMinutes} minutes`;
+        case 'new-title':
+            return `New ${entry.type}: ${entry.title}`;
+        default:
+            return `${entry.type}: ${entry.title}`;
+    }
+}
+
+// Evaluates alert rules against each entry the Logger writes:
+//   threshold  - more than `count` matching events within `windowMinutes`
+//   match      - any single matching event (conditions in `where`)
+//   new-title  - the first event with a title not seen before
+// A rule fires at most once per `cooldownMinutes` per project. Alerts are POSTed to the
+// rule's webhook (or the global one) and kept in an NDJSON history file.
+class AlertEngine {
+    constructor({ rules = [], webhookUrl, format = 'json' } = {}, { stores, historyFile, historySize = 500 } = {}) {
+        this.rules = rules.map(normalizeRule);
+        this.webhookUrl = webhookUrl;
+        this.format = format;
+        this.stores = stores;
+        this.historyFile = historyFile;
+        this.historySize = historySize;
+
+        this.history = [];
+        this.windows = new Map();
+        this.lastFired = new Map();
+        this.seenTitles = new Map();
+    }
+
+    async init() {
+        if (!this.historyFile || !fs.existsSync(this.historyFile)) {
+            return;
+        }
+        const data = await fs.promises.readFile(this.historyFile, 'utf8');
+        const lines = data.split('\n').filter(line => line.trim());
+
+        // Only the newest alerts are ever served, so keep the file from growing forever
+        if (lines.length > this.historySize * 2) {
+            await fs.promises.writeFile(this.historyFile, lines.slice(-this.historySize).join('\n') + '\n');
+        }
+
+        this.history = lines
+            .slice(-this.historySize)
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    async evaluate(entry) {
+        for (const rule of this.rules) {
+            if (!matchesRule(rule, entry)) {
+                continue;
+            }
+
+            try {
+                if (rule.kind === 'match') {
+                    this.fire(rule, entry);
+                } else if (rule.kind === 'threshold') {
+                    this.countTowardsThreshold(rule, entry);
+                } else if (await this.isNewTitle(rule, entry)) {
+                    this.fire(rule, entry);
+                }
+            } catch (error) {
+                console.error(`Failed to evaluate alert rule ${rule.id}:`, error);
+            }
+        }
+    }
+
+    countTowardsThreshold(rule, entry) {
+        const key = `${rule.id}:${entry.project}`;
+        const now = Date.now();
+        const cutoff = now - rule.windowMinutes * 60 * 1000;
+        const window = (this.windows.get(key) || []).filter(time => time > cutoff);
+        window.push(now);
+        this.windows.set(key, window);
+
+        if (window.length > rule.count) {
+            this.fire(rule, entry, window.length);
+        }
+    }
+
+    // Titles already in the store count as seen, so a restart does not re-alert on them.
+    // A title is claimed before the store is read, so concurrent entries with the same
+    // new title alert once; a failed read is retried by the next entry.
+    async isNewTitle(rule, entry) {
+        const key = `${rule.id}:${entry.project}`;
+        let seen = this.seenTitles.get(key);
+        if (!seen) {
+            seen = { titles: new Set(), stored: this.loadSeenTitles(rule, entry) };
+            this.seenTitles.set(key, seen);
+            const loaded = seen;
+            seen.stored.catch(() => {
+                if (this.seenTitles.get(key) === loaded) {
+                    this.seenTitles.delete(key);
+                }
+            });
+        }
+
+        if (seen.titles.has(entry.title)) {
+            return false;
+        }
+        seen.titles.add(entry.title);
+
+        let stored;
+        try {
+            stored = await seen.stored;
+        } catch (error) {
+            seen.titles.delete(entry.title);
+            throw error;
+        }
+        return !stored.has(entry.title);
+    }
+
+    // Titles of matching entries stored before `current`; later ones are concurrent
+    // entries that claim their titles themselves
+    async loadSeenTitles(rule, current) {
+        const titles = new Set();
+        if (!this.stores) {
+            return titles;
+        }
+        const store = await this.stores.get(current.project);
+        for await (const entry of store.entries()) {
+            if (entry.id < current.id && matchesRule(rule, entry)) {
+                titles.add(entry.title);
+            }
+        }
+        return titles;
+    }
+
+    fire(rule, entry, count = 1) {
+        const key = `${rule.id}:${entry.project}`;
+        const now = Date.now();
+        const lastFired = this.lastFired.get(key);
+        if (lastFired && now - lastFired < rule.cooldownMinutes * 60 * 1000) {
+            return;
+        }
+        this.lastFired.set(key, now);
+
+        const alert = {
+            id: createId(now),
+            firedAt: new Date(now).toISOString(),
+            rule: rule.id,
+            name: rule.name,
+            kind: rule.kind,
+            project: entry.project,
+            message: describe(rule, entry, count),
+            count,
+            entry: { id: entry.id, type: entry.type, title: entry.title, timestamp: entry.timestamp }
+        };
+
+        // Delivery runs in the background; logging never waits on a webhook
+        this.deliver(rule, alert, entry).then(() => this.record(alert));
+    }
+
+    async deliver(rule, alert, entry) {
+        const url = rule.webhookUrl || this.webhookUrl;
+        if (!url) {
+            alert.delivery = 'skipped';
+            return;
+        }
+
+        const format = rule.format || this.format;
+        const payload = format === 'slack'
+            ? { text: `:rotating_light: *[Nogger] ${alert.name}* (${alert.project})\n${alert.message}` }
+            : { alert, entry };
+
+        try {
+            await postJson(url, payload);
+            alert.delivery = 'sent';
+        } catch (error) {
+            console.error(`Failed to deliver alert ${alert.rule}:`, error.message);
+            alert.delivery = 'failed';
+            alert.error = error.message;
+        }
+    }
+
+    async record(alert) {
+        this.history.push(alert);
+        if (this.history.length > this.historySize) {
+            this.history.shift();
+        }
+        if (!this.historyFile) {
+            return;
+        }
+        try {
+            await fs.promises.appendFile(this.historyFile, JSON.stringify(alert) + '\n');
+        } catch (error) {
+            console.error('Failed to record alert history:', error);
+        }
+    }
+
+    // Ids of the entries that alerts in the history were raised for
+    entryIdsFor(project) {
+        return new Set(this.history
+            .filter(alert => alert.project === project && alert.entry)
+            .map(alert => alert.entry.id));
+    }
+
+    // Drops alerts about deleted entries from the history, which otherwise keeps their
+    // titles. The file is rewritten from the history held in memory, which also drops
+    // older lines that are no longer served. New-title rules reload what counts as seen
+    // on their next event.
+    async forgetEntries(project, entryIds) {
+        for (const key of Array.from(this.seenTitles.keys())) {
+            if (key.endsWith(`:${project}`)) {
+                this.seenTitles.delete(key);
+            }
+        }
+
+        const before = this.history.length;
+        this.history = this.history.filter(alert =>
+            alert.project !== project || !alert.entry || !entryIds.has(alert.entry.id));
+        const removed = before - this.history.length;
+
+        if (this.historyFile && fs.existsSync(this.historyFile)) {
+            const data = this.history.map(alert => JSON.stringify(alert) + '\n').join('');
+            await fs.promises.writeFile(`${this.historyFile}.tmp`, data);
+            await fs.promises.rename(`${this.historyFile}.tmp`, this.historyFile);
+        }
+        return removed;
+    }
+
+    // Newest first
+    recent({ project, limit = 100 } = {}) {
+        return this.history
+            .filter(alert => !project || alert.project === project)
+            .slice(-limit)
+            .reverse();
+    }
+
+    rulesFor(project) {
+        return this.rules
+            .filter(rule => !rule.project || rule.project === project)
+            .map(({ webhookUrl, ...rule }) => ({ ...rule, hasWebhook: Boolean(webhookUrl || this.webhookUrl) }));
+    }
+}
+
+module.exports = { AlertEngine, loadAlertConfig, matchesRule, OPERATORS };
@@ -0,0 +1,49 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { createId } = require('./logger');
+const { parseLines } = require('./storage/file');
+
+const DEFAULT_LIMIT = 100;
+
+// Append-only record of who changed stored logs and how, kept per project in
+// `<logsDir>/<projectId>/audit.ndjson` next to the entries themselves. It is not
+// affected by deletions or retention, so it outlives the entries it describes.
+class AuditLog {
+    constructor(stores) {
+        this.stores = stores;
+    }
+
+    fileFor(projectId) {
+        return path.join(this.stores.dirFor(projectId), 'audit.ndjson');
+    }
+
+    async record(projectId, event) {
+        const record = {
+            id: createId(),
+            timestamp: new Date().toISOString(),
+            project: projectId,
+            ...event
+        };
+
+        const file = this.fileFor(projectId);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.appendFile(file, JSON.stringify(record) + '\n');
+        return record;
+    }
+
+    // Newest first
+    async list(projectId, { limit = DEFAULT_LIMIT } = {}) {
+        let data;
+        try {
+            data = await fs.readFile(this.fileFor(projectId), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+        return parseLines(data).reverse().slice(0, limit);
+    }
+}
+
+module.exports = { AuditLog };
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_URL = 'http://localhost:3000';
+const CONFIG_NAME = '.nogger.json';
+const USER_AGENT = `nogger-cli/${require('../../package.json').version}`;
+
+// Server URL and API key for the CLI, from (highest first) the --url/--key flags,
+// NOGGER_URL/NOGGER_API_KEY, the file named by NOGGER_CONFIG, then `.nogger.json` in
+// the current directory or the home directory: `{ "url": "...", "apiKey": "..." }`
+function loadConfig(flags = {}, env = process.env) {
+    if (env.NOGGER_CONFIG && !fs.existsSync(env.NOGGER_CONFIG)) {
+        throw new Error(`Config file ${env.NOGGER_CONFIG} (NOGGER_CONFIG) does not exist`);
+    }
+
+    const file = [env.NOGGER_CONFIG, path.resolve(CONFIG_NAME), path.join(os.homedir(), CONFIG_NAME)]
+        .find(candidate => candidate && fs.existsSync(candidate));
+    let fileConfig = {};
+    if (file) {
+        try {
+            fileConfig = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not read ${file}: ${error.message}`);
+        }
+    }
+
+    return {
+        url: String(flags.url || env.NOGGER_URL || fileConfig.url || DEFAULT_URL).replace(/\/+$/, ''),
+        apiKey: flags.key || env.NOGGER_API_KEY || fileConfig.apiKey || undefined,
+        file: file || null
+    };
+}
+
+function readBody(res) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        res.on('error', reject);
+    });
+}
+
+// Talks to a Nogger server with the API key in the X-API-Key header
+class NoggerClient {
+    constructor({ url, apiKey }) {
+        this.url = url;
+        this.apiKey = apiKey;
+    }
+
+    // Query values that are undefined or empty are left out; arrays are joined with commas
+    buildUrl(pathname, query = {}) {
+        const url = new URL(this.url + pathname);
+        for (const [key, value] of Object.entries(query)) {
+            if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+                continue;
+            }
+            url.searchParams.set(key, Array.isArray(value) ? value.join(',') : String(value));
+        }
+        return url;
+    }
+
+    // Sends a request and resolves with the response, whatever its status
+    open(method, pathname, { query, body, headers: extraHeaders = {} } = {}) {
+        return new Promise((resolve, reject) => {
+            const target = this.buildUrl(pathname, query);
+            const client = target.protocol === 'https:' ? https : http;
+            const data = body === undefined ? null : JSON.stringify(body);
+            const headers = { Accept: 'application/json', 'User-Agent': USER_AGENT, ...extraHeaders };
+            if (this.apiKey) {
+                headers['X-API-Key'] = this.apiKey;
+            }
+            if (data !== null) {
+                headers['Content-Type'] = 'application/json';
+                headers['Content-Length'] = Buffer.byteLength(data);
+            }
+
+            const req = client.request(target, { method, headers }, resolve);
+            req.on('error', error => reject(new Error(`Could not reach ${this.url}: ${error.message}`)));
+            req.end(data);
+        });
+    }
+
+    // Sends a request and resolves with the parsed JSON body. Rejects with the server's
+    // error message for failed requests.
+    async request(method, pathname, options) {
+        const res = await this.open(method, pathname, options);
+        return parseResponse(res, await readBody(res));
+    }
+}
+
+function parseResponse(res, text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        data = null;
+    }
+
+    if (res.statusCode >= 400 || !data || data.success === false) {
+        const message = data && (data.error || data.message);
+        const error = new Error(message || `Request failed with status ${res.statusCode}`);
+        error.statusCode = res.statusCode;
+        throw error;
+    }
+    return data;
+}
+
+module.exports = { NoggerClient, loadConfig, readBody, parseResponse, DEFAULT_URL };
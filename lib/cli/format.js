@@ -0,0 +1,54 @@
+// Terminal output for the CLI: one line per entry, colored by type when writing to a
+// terminal (NO_COLOR or --no-color turn colors off)
+
+const RESET = '\x1b[0m';
+const BOLD = '\x1b[1m';
+const DIM = '\x1b[2m';
+
+function useColor(flags, stream = process.stdout, env = process.env) {
+    return Boolean(stream.isTTY) && !flags['no-color'] && !('NO_COLOR' in env);
+}
+
+// 24-bit foreground color for a `#rrggbb` type color
+function ansiColor(hex) {
+    const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+    if (!match) {
+        return '';
+    }
+    const [r, g, b] = match.slice(1).map(part => parseInt(part, 16));
+    return `\x1b[38;2;${r};${g};${b}m`;
+}
+
+// Terminal control characters in entry text could rewrite the screen, so they are escaped
+function clean(text) {
+    return String(text).replace(/[\x00-\x08\x0b-\x1f\x7f]/g, char => `\\x${char.charCodeAt(0).toString(16).padStart(2, '0')}`);
+}
+
+// `2024-05-01 12:00:03  ERROR      Title — description  session=... user=...`
+function formatEntry(entry, { color = false, typeColors = {}, verbose = false } = {}) {
+    const paint = (code, text) => (color && code ? `${code}${text}${RESET}` : text);
+    const time = new Date(entry.timestamp).toISOString().replace('T', ' ').slice(0, 19);
+    const type = String(entry.type).toUpperCase().padEnd(10);
+
+    let line = `${paint(DIM, time)}  ${paint(ansiColor(typeColors[entry.type]), type)} ${paint(BOLD, clean(entry.title))}`;
+    if (entry.description) {
+        line += ` — ${clean(entry.description)}`;
+    }
+
+    const context = ['sessionId', 'userId', 'traceId', 'appVersion', 'platform']
+        .filter(field => entry[field])
+        .map(field => `${field}=${clean(entry[field])}`);
+    if (context.length > 0) {
+        line += `  ${paint(DIM, context.join(' '))}`;
+    }
+
+    if (verbose) {
+        line += `\n${paint(DIM, `  id=${entry.id}`)}`;
+        if (entry.metadata && Object.keys(entry.metadata).length > 0) {
+            line += `\n${paint(DIM, clean(JSON.stringify(entry.metadata, null, 2)).replace(/^/gm, '  '))}`;
+        }
+    }
+    return line;
+}
+
+module.exports = { formatEntry, useColor, ansiColor };
@@ -0,0 +1,615 @@
+const fs = require('fs');
+const os = require('os');
+const readline = require('readline');
+const stream = require('stream');
+const { NoggerClient, loadConfig, readBody, parseResponse, DEFAULT_URL } = require('./client');
+const { formatEntry, useColor } = require('./format');
+
+const DEFAULT_TAIL_LINES = 10;
+const DEFAULT_QUERY_LIMIT = 50;
+// Page size when --all follows every cursor (the server's maximum)
+const ALL_PAGE_SIZE = 1000;
+const EXPORT_FORMATS = ['ndjson', 'csv'];
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+// The server sends a heartbeat every 25 seconds; a stream silent for longer is dead
+const STREAM_IDLE_MS = 60000;
+
+const TIME_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// Flags for the context fields entries are indexed by
+const CONTEXT_FLAGS = {
+    session: 'sessionId',
+    user: 'userId',
+    trace: 'traceId',
+    'app-version': 'appVersion',
+    build: 'buildNumber',
+    platform: 'platform',
+    environment: 'environment'
+};
+
+const FILTER_OPTIONS = {
+    strings: ['from', 'to', 'search', 'title', 'fingerprint', ...Object.keys(CONTEXT_FLAGS)],
+    lists: ['type', 'metadata', 'exists'],
+    aliases: { t: 'type', q: 'search', m: 'metadata' }
+};
+
+const FILTER_HELP = `Filters:
+  -t, --type <name>         Entry type (comma-separated or repeated for tail)
+      --from <time>         Start of the range: ISO date, epoch ms or relative (30m, 2h, 7d)
+      --to <time>           End of the range, same formats as --from
+  -q, --search <text>       Text in the title or description
+      --title <text>        Text in the title only
+  -m, --metadata <k=v>      Metadata equality, e.g. -m url=/login (repeatable)
+      --exists <key>        Entries that have a metadata key (repeatable)
+      --fingerprint <id>    Entries grouped into one issue
+      --session, --user, --trace, --app-version, --build, --platform, --environment <value>`;
+
+const CONNECTION_HELP = `Connection:
+      --url <url>           Server URL (NOGGER_URL, default ${DEFAULT_URL})
+      --key <key>           API key (NOGGER_API_KEY)
+  The URL and key can also be kept in .nogger.json in the current or home directory,
+  or the file named by NOGGER_CONFIG: { "url": "https://...", "apiKey": "..." }`;
+
+const USAGE = `Usage: nogger <command> [options]
+
+Commands:
+  tail      Follow new log entries as they arrive
+  query     Search stored entries
+  send      Send a test event
+  clear     Delete entries matching a filter
+  export    Download entries as NDJSON or CSV
+
+Run "nogger help <command>" for the options of a command.
+
+${CONNECTION_HELP}`;
+
+function usageError(message) {
+    const error = new Error(message);
+    error.exitCode = 2;
+    return error;
+}
+
+// Minimal option parser: --name value, --name=value, -x value for aliases, boolean
+// flags and repeatable list options. Everything else is a positional argument.
+function parseArgs(argv, { strings = [], booleans = [], lists = [], aliases = {} } = {}) {
+    const allStrings = [...strings, 'url', 'key'];
+    const allBooleans = [...booleans, 'help', 'no-color'];
+    const flags = {};
+    lists.forEach(name => { flags[name] = []; });
+    const positionals = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--') {
+            positionals.push(...argv.slice(i + 1));
+            break;
+        }
+
+        let name;
+        let value;
+        if (arg.startsWith('--')) {
+            const equals = arg.indexOf('=');
+            name = equals === -1 ? arg.slice(2) : arg.slice(2, equals);
+            value = equals === -1 ? undefined : arg.slice(equals + 1);
+        } else if (/^-[a-z]$/i.test(arg)) {
+            name = arg === '-h' ? 'help' : aliases[arg.slice(1)];
+            if (!name) {
+                throw usageError(`Unknown option ${arg}`);
+            }
+        } else {
+            positionals.push(arg);
+            continue;
+        }
+
+        if (allBooleans.includes(name)) {
+            if (value !== undefined) {
+                throw usageError(`--${name} does not take a value`);
+            }
+            flags[name] = true;
+            continue;
+        }
+        if (!allStrings.includes(name) && !lists.includes(name)) {
+            throw usageError(`Unknown option --${name}`);
+        }
+        if (value === undefined) {
+            value = argv[++i];
+            if (value === undefined) {
+                throw usageError(`--${name} needs a value`);
+            }
+        }
+
+        if (lists.includes(name)) {
+            flags[name].push(value);
+        } else {
+            flags[name] = value;
+        }
+    }
+
+    return { flags, positionals };
+}
+
+// Relative times like `30m` or `7d` count back from now; anything else goes to the
+// server as it is (epoch ms) or as epoch ms after parsing (ISO dates)
+function parseTime(value, flag) {
+    if (value === undefined) {
+        return undefined;
+    }
+    const relative = /^(\d+)([smhdw])$/.exec(value);
+    if (relative) {
+        return Date.now() - Number(relative[1]) * TIME_UNITS[relative[2]];
+    }
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    if (isNaN(time)) {
+        throw usageError(`--${flag} must be an ISO date, epoch milliseconds or a relative time like 2h`);
+    }
+    return time;
+}
+
+function keyValue(pair, flag) {
+    const equals = pair.indexOf('=');
+    if (equals < 1) {
+        throw usageError(`--${flag} expects key=value, got "${pair}"`);
+    }
+    return [pair.slice(0, equals), pair.slice(equals + 1)];
+}
+
+function typesOf(flags) {
+    return flags.type.flatMap(type => type.split(',')).map(type => type.trim()).filter(Boolean);
+}
+
+function singleType(flags, command) {
+    const types = typesOf(flags);
+    if (types.length > 1) {
+        throw usageError(`${command} accepts a single --type`);
+    }
+    return types[0];
+}
+
+// /api/logs query parameters for the filter flags
+function filterQuery(flags, type) {
+    const query = {
+        type,
+        from: parseTime(flags.from, 'from'),
+        to: parseTime(flags.to, 'to'),
+        q: flags.search,
+        title: flags.title,
+        fingerprint: flags.fingerprint,
+        exists: flags.exists.map(key => (key.startsWith('metadata.') ? key : `metadata.${key}`))
+    };
+    for (const [flag, field] of Object.entries(CONTEXT_FLAGS)) {
+        query[field] = flags[flag];
+    }
+    for (const pair of flags.metadata) {
+        const [key, value] = keyValue(pair, 'metadata');
+        query[`metadata.${key.replace(/^metadata\./, '')}`] = value;
+    }
+    return query;
+}
+
+function hasFilter(query) {
+    return Object.values(query).some(value => (Array.isArray(value) ? value.length > 0 : value !== undefined && value !== ''));
+}
+
+function wholeNumber(value, flag, fallback) {
+    if (value === undefined) {
+        return fallback;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        throw usageError(`--${flag} must be a non-negative whole number`);
+    }
+    return number;
+}
+
+// Type colors from the server's type registry; without them output is just uncolored
+async function loadTypeColors(client) {
+    try {
+        const { types } = await client.request('GET', '/api/types');
+        return Object.fromEntries(types.map(type => [type.name, type.color]));
+    } catch (error) {
+        return {};
+    }
+}
+
+async function entryPrinter(client, flags) {
+    if (flags.json) {
+        return entry => process.stdout.write(JSON.stringify(entry) + '\n');
+    }
+    const color = useColor(flags);
+    const typeColors = color ? await loadTypeColors(client) : {};
+    return entry => process.stdout.write(formatEntry(entry, { color, typeColors, verbose: flags.verbose }) + '\n');
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Reads Server-Sent Events off a response until the connection ends, cleanly or not
+function readEvents(res, onEvent) {
+    return new Promise(resolve => {
+        let buffer = '';
+        let idle;
+        const resetIdle = () => {
+            clearTimeout(idle);
+            idle = setTimeout(() => res.destroy(), STREAM_IDLE_MS);
+        };
+
+        res.setEncoding('utf8');
+        resetIdle();
+        res.on('data', chunk => {
+            resetIdle();
+            buffer += chunk;
+            const frames = buffer.split(/\r?\n\r?\n/);
+            buffer = frames.pop();
+            for (const frame of frames) {
+                const event = { event: 'message', data: [] };
+                for (const line of frame.split(/\r?\n/)) {
+                    if (!line || line.startsWith(':')) {
+                        continue;
+                    }
+                    const colon = line.indexOf(':');
+                    const field = colon === -1 ? line : line.slice(0, colon);
+                    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+                    if (field === 'data') {
+                        event.data.push(value);
+                    } else {
+                        event[field] = value;
+                    }
+                }
+                if (event.data.length > 0 || event.id) {
+                    onEvent({ ...event, data: event.data.join('\n') });
+                }
+            }
+        });
+        const done = () => {
+            clearTimeout(idle);
+            resolve();
+        };
+        res.on('end', done);
+        res.on('close', done);
+        res.on('error', done);
+    });
+}
+
+// Follows /api/logs/stream for good, reconnecting with backoff. Reconnects pass the
+// last event id so entries written while disconnected are replayed by the server.
+async function follow(client, query, lastEventId, onEntry) {
+    let delay = RECONNECT_MIN_MS;
+    for (;;) {
+        try {
+            const res = await client.open('GET', '/api/logs/stream', {
+                query: { ...query, lastEventId },
+                headers: { Accept: 'text/event-stream' }
+            });
+            if (res.statusCode !== 200) {
+                parseResponse(res, await readBody(res));
+            }
+            delay = RECONNECT_MIN_MS;
+            await readEvents(res, event => {
+                if (event.id) {
+                    lastEventId = event.id;
+                }
+                if (event.event === 'entry') {
+                    onEntry(JSON.parse(event.data));
+                }
+            });
+            console.error('Connection to the server lost, reconnecting…');
+        } catch (error) {
+            // A bad filter or API key will not get better by retrying
+            if (error.statusCode && error.statusCode < 500) {
+                throw error;
+            }
+            console.error(`${error.message}; reconnecting in ${delay / 1000}s`);
+        }
+        await sleep(delay);
+        delay = Math.min(delay * 2, RECONNECT_MAX_MS);
+    }
+}
+
+async function tail(client, flags) {
+    const types = typesOf(flags);
+    const lines = wholeNumber(flags.lines, 'lines', DEFAULT_TAIL_LINES);
+    // A single type is filtered by the server; several are filtered here
+    const query = filterQuery(flags, types.length === 1 ? types[0] : undefined);
+    const print = await entryPrinter(client, flags);
+    const matches = entry => types.length <= 1 || types.includes(entry.type);
+
+    // The last few entries first, oldest at the top. With several types each is asked
+    // for separately, which also has the server reject unknown ones.
+    const pages = await Promise.all((types.length > 1 ? types : [query.type]).map(type =>
+        client.request('GET', '/api/logs', { query: { ...query, type, limit: Math.max(lines, 1) } })
+    ));
+    const recent = pages
+        .flatMap(page => page.logs)
+        .sort((a, b) => (a.id < b.id ? 1 : -1))
+        .slice(0, lines);
+    recent.reverse().forEach(print);
+
+    const lastEventId = recent.length > 0 ? recent[recent.length - 1].id : undefined;
+    await follow(client, query, lastEventId, entry => {
+        if (matches(entry)) {
+            print(entry);
+        }
+    });
+}
+
+async function query(client, flags) {
+    const params = filterQuery(flags, singleType(flags, 'query'));
+    params.limit = wholeNumber(flags.limit, 'limit', flags.all ? ALL_PAGE_SIZE : DEFAULT_QUERY_LIMIT) || 1;
+    const print = await entryPrinter(client, flags);
+
+    let cursor = flags.cursor;
+    let count = 0;
+    do {
+        const result = await client.request('GET', '/api/logs', { query: { ...params, cursor } });
+        result.logs.forEach(print);
+        count += result.count;
+        cursor = result.nextCursor;
+    } while (flags.all && cursor);
+
+    console.error(`${count} ${count === 1 ? 'entry' : 'entries'}`);
+    if (cursor) {
+        console.error(`More entries match: add --all, or --cursor ${cursor} for the next page`);
+    }
+}
+
+// Metadata values that look like numbers, booleans or null are sent as such, so
+// `-m status=500` gives a numeric status
+function metadataValue(value) {
+    if (/^(-?\d+(\.\d+)?|true|false|null)$/.test(value)) {
+        return JSON.parse(value);
+    }
+    return value;
+}
+
+async function send(client, flags, positionals) {
+    const metadata = {};
+    for (const pair of flags.metadata) {
+        const [key, value] = keyValue(pair, 'metadata');
+        metadata[key] = metadataValue(value);
+    }
+
+    const body = {
+        type: flags.type || 'log',
+        title: positionals.join(' ') || 'Test event from the nogger CLI',
+        description: flags.description || '',
+        metadata
+    };
+    for (const [flag, field] of Object.entries(CONTEXT_FLAGS)) {
+        if (flags[flag] !== undefined) {
+            body[field] = flags[flag];
+        }
+    }
+
+    const result = await client.request('POST', '/api/log', { body });
+    if (flags.json) {
+        process.stdout.write(JSON.stringify(result) + '\n');
+    } else {
+        console.log(`Sent ${body.type} entry ${result.id}`);
+    }
+}
+
+function confirm(question) {
+    const prompt = readline.createInterface({ input: process.stdin, output: process.stderr });
+    return new Promise(resolve => {
+        prompt.question(question, answer => {
+            prompt.close();
+            resolve(/^y(es)?$/i.test(answer.trim()));
+        });
+    });
+}
+
+function actor() {
+    try {
+        return `cli:${os.userInfo().username}`;
+    } catch (error) {
+        return 'cli';
+    }
+}
+
+async function clear(client, flags) {
+    const params = filterQuery(flags, singleType(flags, 'clear'));
+    if (flags['older-than'] !== undefined) {
+        const days = /^(\d+(\.\d+)?)d?$/.exec(flags['older-than']);
+        if (!days) {
+            throw usageError('--older-than must be a number of days, e.g. 30d');
+        }
+        params.olderThanDays = days[1];
+    }
+    if (!hasFilter(params) && !flags.all) {
+        throw usageError('Add a filter, or --all to delete every entry');
+    }
+    if (flags.all) {
+        params.all = 'true';
+    }
+
+    const { matched } = await client.request('DELETE', '/api/logs', { query: { ...params, dryRun: 'true' } });
+    if (matched === 0) {
+        console.log('No entries match');
+        return;
+    }
+
+    if (!flags.yes) {
+        if (!process.stdin.isTTY) {
+            throw usageError(`${matched} entries match; pass --yes to delete them without a prompt`);
+        }
+        const description = hasFilter({ ...params, all: undefined }) ? 'matching entries' : 'entries (everything in the project)';
+        if (!await confirm(`Delete ${matched} ${description}? This cannot be undone [y/N] `)) {
+            console.error('Nothing deleted');
+            return;
+        }
+    }
+
+    const { deleted } = await client.request('DELETE', '/api/logs', { query: params, headers: { 'X-Actor': actor() } });
+    console.log(`Deleted ${deleted} ${deleted === 1 ? 'entry' : 'entries'}`);
+}
+
+async function exportLogs(client, flags) {
+    const params = filterQuery(flags, singleType(flags, 'export'));
+    const format = flags.format || 'ndjson';
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw usageError(`--format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    const res = await client.open('GET', '/api/logs/export', { query: { ...params, format } });
+    if (res.statusCode !== 200) {
+        parseResponse(res, await readBody(res));
+    }
+
+    const output = flags.output ? fs.createWriteStream(flags.output) : process.stdout;
+    await new Promise((resolve, reject) => {
+        stream.pipeline(res, output, error => (error ? reject(error) : resolve()));
+    });
+    if (flags.output) {
+        console.error(`Exported to ${flags.output}`);
+    }
+}
+
+const COMMANDS = {
+    tail: {
+        run: tail,
+        options: {
+            strings: [...FILTER_OPTIONS.strings, 'lines'],
+            booleans: ['json', 'verbose'],
+            lists: FILTER_OPTIONS.lists,
+            aliases: { ...FILTER_OPTIONS.aliases, n: 'lines', v: 'verbose' }
+        },
+        usage: `Usage: nogger tail [options]
+
+Prints the most recent entries, then follows new ones until interrupted.
+
+Options:
+  -n, --lines <n>           Entries to print before following (default ${DEFAULT_TAIL_LINES})
+      --json                One JSON entry per line
+  -v, --verbose             Include ids and metadata
+      --no-color            Plain output (also NO_COLOR)
+
+${FILTER_HELP}`
+    },
+    query: {
+        run: query,
+        options: {
+            strings: [...FILTER_OPTIONS.strings, 'limit', 'cursor'],
+            booleans: ['json', 'verbose', 'all'],
+            lists: FILTER_OPTIONS.lists,
+            aliases: { ...FILTER_OPTIONS.aliases, n: 'limit', v: 'verbose' }
+        },
+        usage: `Usage: nogger query [options]
+
+Prints stored entries matching the filters, newest first.
+
+Options:
+  -n, --limit <n>           Entries per page (default ${DEFAULT_QUERY_LIMIT})
+      --all                 Follow every page instead of stopping after the first
+      --cursor <cursor>     Continue from a previous page
+      --json                One JSON entry per line
+  -v, --verbose             Include ids and metadata
+      --no-color            Plain output (also NO_COLOR)
+
+${FILTER_HELP}`
+    },
+    send: {
+        run: send,
+        options: {
+            strings: ['type', 'description', ...Object.keys(CONTEXT_FLAGS)],
+            booleans: ['json'],
+            lists: ['metadata'],
+            aliases: { t: 'type', d: 'description', m: 'metadata' }
+        },
+        usage: `Usage: nogger send [options] [title...]
+
+Sends one entry to /api/log, handy for checking the server and API key.
+
+Options:
+  -t, --type <name>         Entry type (default log)
+  -d, --description <text>  Entry description
+  -m, --metadata <k=v>      Metadata field (repeatable); numbers and booleans keep their type
+      --session, --user, --trace, --app-version, --build, --platform, --environment <value>
+      --json                Print the server's response as JSON`
+    },
+    clear: {
+        run: clear,
+        options: {
+            strings: [...FILTER_OPTIONS.strings, 'older-than'],
+            booleans: ['all', 'yes'],
+            lists: FILTER_OPTIONS.lists,
+            aliases: { ...FILTER_OPTIONS.aliases, y: 'yes' }
+        },
+        usage: `Usage: nogger clear [options]
+
+Deletes the entries matching the filters after showing how many there are.
+
+Options:
+      --older-than <days>   Entries older than this many days, e.g. 30d
+      --all                 Delete every entry when no filter is given
+  -y, --yes                 Do not ask for confirmation
+
+${FILTER_HELP}`
+    },
+    export: {
+        run: exportLogs,
+        options: {
+            strings: [...FILTER_OPTIONS.strings, 'format', 'output'],
+            lists: FILTER_OPTIONS.lists,
+            aliases: { ...FILTER_OPTIONS.aliases, f: 'format', o: 'output' }
+        },
+        usage: `Usage: nogger export [options]
+
+Writes every entry matching the filters, oldest first.
+
+Options:
+  -f, --format <format>     ${EXPORT_FORMATS.join(' or ')} (default ndjson)
+  -o, --output <file>       Write to a file instead of standard output
+
+${FILTER_HELP}`
+    }
+};
+
+// Runs the CLI and resolves with the exit code: 0 on success, 1 when a request fails
+// and 2 for usage errors
+async function main(argv) {
+    const [command, ...rest] = argv;
+    if (!command || command === '--help' || command === '-h') {
+        console.log(USAGE);
+        return 0;
+    }
+    if (command === 'help') {
+        const definition = COMMANDS[rest[0]];
+        console.log(definition ? `${definition.usage}\n\n${CONNECTION_HELP}` : USAGE);
+        return 0;
+    }
+    if (command === '--version') {
+        console.log(require('../../package.json').version);
+        return 0;
+    }
+
+    const definition = COMMANDS[command];
+    if (!definition) {
+        console.error(`nogger: unknown command "${command}"\n\n${USAGE}`);
+        return 2;
+    }
+
+    try {
+        const { flags, positionals } = parseArgs(rest, definition.options);
+        if (flags.help) {
+            console.log(`${definition.usage}\n\n${CONNECTION_HELP}`);
+            return 0;
+        }
+        if (positionals.length > 0 && command !== 'send') {
+            throw usageError(`Unexpected argument "${positionals[0]}"`);
+        }
+
+        const client = new NoggerClient(loadConfig(flags));
+        await definition.run(client, flags, positionals);
+        return 0;
+    } catch (error) {
+        console.error(`nogger ${command}: ${error.message}`);
+        if (error.exitCode === 2) {
+            console.error(`Run "nogger help ${command}" for usage`);
+        }
+        return error.exitCode || 1;
+    }
+}
+
+module.exports = { main, parseArgs };
@@ -0,0 +1,13 @@
+// Per-type colors for entry cards and badges, generated from the type registry and
+// served as /dashboard/types.css. Names and colors are validated by the registry.
+function typeStyles(types) {
+    return types.map(type => `.log-entry.${type.name} {
+    border-left: 5px solid ${type.color};
+    background: ${type.color}0f;
+}
+
+.log-type.${type.name}, .bar-segment.${type.name} { background: ${type.color}; }
+`).join('\n');
+}
+
+module.exports = { typeStyles };
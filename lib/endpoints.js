@@ -0,0 +1,206 @@
+const { parseStatsOptions } = require('./stats');
+
+// Entries the report reads unless a type is given
+const FAILURE_TYPE = 'api-failed';
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const SORTS = ['failures', 'p95', 'lastSeen'];
+const MAX_EXAMPLES = 3;
+// Durations kept per endpoint for percentiles; beyond this a random sample is kept
+const MAX_SAMPLES = 5000;
+
+const ID_SEGMENTS = [
+    /^\d+$/,
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+    /^[0-9a-f]{12,}$/i,
+    // Long opaque tokens mixing letters and digits (slugs, encoded ids)
+    /^(?=.*\d)[A-Za-z0-9_-]{20,}$/
+];
+
+// Turns a request URL into its route template: the query string is dropped and path
+// segments that look like ids become `:id`, so `/users/123?x=1` gives `/users/:id`.
+// Returns `{ host, route }`; host is null for relative URLs.
+function routeTemplate(url) {
+    let host = null;
+    let pathname = String(url);
+    try {
+        const parsed = new URL(pathname, 'http://relative.invalid');
+        host = parsed.host === 'relative.invalid' ? null : parsed.host;
+        pathname = parsed.pathname;
+    } catch (error) {
+        pathname = pathname.split(/[?#]/)[0];
+    }
+
+    const route = pathname
+        .split('/')
+        .map(segment => {
+            let decoded = segment;
+            try {
+                decoded = decodeURIComponent(segment);
+            } catch (error) {
+                // Keep malformed escapes as they are
+            }
+            return ID_SEGMENTS.some(pattern => pattern.test(decoded)) ? ':id' : segment;
+        })
+        .join('/');
+
+    return { host, route: route || '/' };
+}
+
+function firstNumber(...values) {
+    for (const value of values) {
+        const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+        if (typeof number === 'number' && isFinite(number)) {
+            return number;
+        }
+    }
+    return null;
+}
+
+// The request an api-failed entry describes, from `metadata.url` (or `endpoint`),
+// `method`, `status` (or `statusCode`) and `duration` (or `durationMs`, in
+// milliseconds). Null when the entry has no URL.
+function requestOf(entry) {
+    const metadata = entry.metadata || {};
+    const url = metadata.url || metadata.endpoint;
+    if (typeof url !== 'string' || !url) {
+        return null;
+    }
+    return {
+        url,
+        method: typeof metadata.method === 'string' ? metadata.method.toUpperCase() : null,
+        status: firstNumber(metadata.status, metadata.statusCode),
+        duration: firstNumber(metadata.duration, metadata.durationMs),
+        ...routeTemplate(url)
+    };
+}
+
+// Validates /api/endpoints options on top of a parsed log filter: the window (last
+// 24 hours by default), `sort` and `limit`. Returns `{ options }` or `{ error }`.
+function parseEndpointOptions(filter, params = {}) {
+    const { options, error } = parseStatsOptions(filter);
+    if (error) {
+        return { error };
+    }
+
+    const sort = params.sort || 'failures';
+    if (!SORTS.includes(sort)) {
+        return { error: `Invalid sort. Allowed values: ${SORTS.join(', ')}` };
+    }
+    const limit = Math.min(parseInt(params.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+
+    return { options: { from: options.from, to: options.to, sort, limit } };
+}
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) {
+        return null;
+    }
+    const index = Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1);
+    return sorted[Math.max(0, index)];
+}
+
+// Groups failed requests (entries yielded oldest first) by method and route template
+async function computeEndpoints(entries, { from, to, sort, limit }) {
+    const endpoints = new Map();
+    const statusCodes = {};
+    let total = 0;
+    let withoutUrl = 0;
+
+    for await (const entry of entries) {
+        const time = Date.parse(entry.timestamp);
+        if (time < from || time > to) {
+            continue;
+        }
+        const request = requestOf(entry);
+        if (!request) {
+            withoutUrl++;
+            continue;
+        }
+        total++;
+
+        const key = `${request.method || ''} ${request.host || ''}${request.route}`;
+        let endpoint = endpoints.get(key);
+        if (!endpoint) {
+            endpoint = {
+                method: request.method,
+                host: request.host,
+                route: request.route,
+                failures: 0,
+                statusCodes: {},
+                durations: [],
+                durationCount: 0,
+                durationMax: null,
+                examples: new Set(),
+                firstSeen: entry.timestamp,
+                lastSeen: entry.timestamp
+            };
+            endpoints.set(key, endpoint);
+        }
+
+        endpoint.failures++;
+        endpoint.lastSeen = entry.timestamp;
+        const status = request.status === null ? 'unknown' : String(request.status);
+        endpoint.statusCodes[status] = (endpoint.statusCodes[status] || 0) + 1;
+        statusCodes[status] = (statusCodes[status] || 0) + 1;
+        if (endpoint.examples.size < MAX_EXAMPLES) {
+            endpoint.examples.add(request.url.split(/[?#]/)[0]);
+        }
+
+        // Count and max are exact; the sample is only used for percentiles
+        if (request.duration !== null && request.duration >= 0) {
+            endpoint.durationCount++;
+            endpoint.durationMax = Math.max(endpoint.durationMax === null ? 0 : endpoint.durationMax, request.duration);
+            if (endpoint.durations.length < MAX_SAMPLES) {
+                endpoint.durations.push(request.duration);
+            } else {
+                // Reservoir sampling keeps every duration equally likely to be in the sample
+                const slot = Math.floor(Math.random() * endpoint.durationCount);
+                if (slot < MAX_SAMPLES) {
+                    endpoint.durations[slot] = request.duration;
+                }
+            }
+        }
+    }
+
+    const list = Array.from(endpoints.values()).map(endpoint => {
+        const sorted = endpoint.durations.sort((a, b) => a - b);
+        return {
+            method: endpoint.method,
+            host: endpoint.host,
+            route: endpoint.route,
+            failures: endpoint.failures,
+            statusCodes: endpoint.statusCodes,
+            duration: {
+                count: endpoint.durationCount,
+                p50: percentile(sorted, 50),
+                p95: percentile(sorted, 95),
+                max: endpoint.durationMax
+            },
+            examples: Array.from(endpoint.examples),
+            firstSeen: endpoint.firstSeen,
+            lastSeen: endpoint.lastSeen
+        };
+    });
+
+    const sorters = {
+        failures: (a, b) => b.failures - a.failures,
+        p95: (a, b) => (b.duration.p95 === null ? -1 : b.duration.p95) - (a.duration.p95 === null ? -1 : a.duration.p95),
+        lastSeen: (a, b) => b.lastSeen.localeCompare(a.lastSeen)
+    };
+    list.sort(sorters[sort]);
+
+    return {
+        window: {
+            from: new Date(from).toISOString(),
+            to: new Date(to).toISOString()
+        },
+        total,
+        withoutUrl,
+        statusCodes,
+        count: Math.min(list.length, limit),
+        endpoints: list.slice(0, limit)
+    };
+}
+
+module.exports = { computeEndpoints, parseEndpointOptions, routeTemplate, requestOf, FAILURE_TYPE };
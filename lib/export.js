@@ -0,0 +1,95 @@
+const stream = require('stream');
+const { CONTEXT_FIELDS } = require('./logger');
+
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+
+// Leading columns in a fixed order; any other top-level fields follow alphabetically
+const BASE_COLUMNS = ['id', 'timestamp', 'clientTimestamp', 'project', 'type', 'title', 'description', 'fingerprint', 'eventId', ...CONTEXT_FIELDS];
+
+// Flattens nested metadata into dotted keys; arrays are kept as JSON
+function flatten(object, prefix, into = {}) {
+    for (const [key, value] of Object.entries(object || {})) {
+        const name = `${prefix}.${key}`;
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+            flatten(value, name, into);
+        } else {
+            into[name] = value;
+        }
+    }
+    return into;
+}
+
+function flattenEntry(entry) {
+    const row = {};
+    for (const [key, value] of Object.entries(entry)) {
+        if (key !== 'metadata') {
+            row[key] = value;
+        }
+    }
+    return flatten(entry.metadata, 'metadata', row);
+}
+
+const PLAIN_NUMBER = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?$/i;
+
+function csvCell(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    // Keep spreadsheets from evaluating client-supplied text as a formula. Negative
+    // numbers are not formulas and stay as they are.
+    if (typeof value !== 'number' && !PLAIN_NUMBER.test(text) && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV needs every column up front, so the entries are read twice: once to collect
+// the column names, once to write the rows. Neither pass holds more than one entry.
+// Entry ids grow with every write, so rows stop at the newest id of the first pass:
+// entries written in between could have metadata keys that have no column.
+async function* csvChunks(scan) {
+    const extraColumns = new Set();
+    const metadataColumns = new Set();
+    let lastId = null;
+    for await (const entry of scan()) {
+        if (lastId === null || entry.id > lastId) {
+            lastId = entry.id;
+        }
+        for (const column of Object.keys(flattenEntry(entry))) {
+            if (column.startsWith('metadata.')) {
+                metadataColumns.add(column);
+            } else if (!BASE_COLUMNS.includes(column)) {
+                extraColumns.add(column);
+            }
+        }
+    }
+
+    const columns = [...BASE_COLUMNS, ...Array.from(extraColumns).sort(), ...Array.from(metadataColumns).sort()];
+    yield columns.map(csvCell).join(',') + '\r\n';
+
+    if (lastId === null) {
+        return;
+    }
+    for await (const entry of scan()) {
+        if (entry.id > lastId) {
+            continue;
+        }
+        const row = flattenEntry(entry);
+        yield columns.map(column => csvCell(row[column])).join(',') + '\r\n';
+    }
+}
+
+async function* ndjsonChunks(scan) {
+    for await (const entry of scan()) {
+        yield JSON.stringify(entry) + '\n';
+    }
+}
+
+// Returns a readable stream of the export. `scan` is called for each pass over the data
+// and must return an async iterable of entries.
+function createExportStream(scan, format = 'ndjson') {
+    return stream.Readable.from(format === 'csv' ? csvChunks(scan) : ndjsonChunks(scan));
+}
+
+module.exports = { createExportStream, flattenEntry, csvCell, EXPORT_FORMATS };
@@ -0,0 +1,46 @@
+const http = require('http');
+const https = require('https');
+
+// POSTs a JSON body and resolves with the status code. Rejects on network errors,
+// timeouts and non-2xx responses so callers can retry or record the failure.
+function postJson(url, body, { timeoutMs = 10000, headers = {} } = {}) {
+    return new Promise((resolve, reject) => {
+        let target;
+        try {
+            target = new URL(url);
+        } catch (error) {
+            return reject(new Error(`Invalid URL: ${url}`));
+        }
+
+        const client = target.protocol === 'https:' ? https : http;
+        const data = JSON.stringify(body);
+
+        const req = client.request(target, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(data),
+                ...headers
+            },
+            timeout: timeoutMs
+        }, res => {
+            // Drain the body so the socket is released
+            res.resume();
+            res.on('end', () => {
+                if (res.statusCode >= 200 && res.statusCode < 300) {
+                    resolve(res.statusCode);
+                } else {
+                    const error = new Error(`Request failed with status ${res.statusCode}`);
+                    error.statusCode = res.statusCode;
+                    reject(error);
+                }
+            });
+        });
+
+        req.on('timeout', () => req.destroy(new Error(`Request timed out after ${timeoutMs}ms`)));
+        req.on('error', reject);
+        req.end(data);
+    });
+}
+
+module.exports = { postJson };
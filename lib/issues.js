@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const ISSUE_STATUSES = ['unresolved', 'resolved', 'ignored'];
+const MAX_USER_AGENTS = 20;
+const MAX_STACK_FRAMES = 5;
+const SAVE_DELAY_MS = 2000;
+
+// Strips the parts of a message that vary between occurrences of the same problem
+function normalizeText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/g, '<uuid>')
+        .replace(/\b0x[0-9a-f]+\b/g, '<hex>')
+        .replace(/\b[0-9a-f]{16,}\b/g, '<hex>')
+        .replace(/(["'`])[^"'`]*\1/g, '<str>')
+        .replace(/\d+/g, '<n>')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Keeps the top frames of a stack trace without line/column numbers, which change with every build
+function normalizeStack(stack) {
+    if (typeof stack !== 'string') {
+        return '';
+    }
+    return stack
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line.startsWith('at ') || line.includes('@'))
+        .slice(0, MAX_STACK_FRAMES)
+        .map(line => normalizeText(line.replace(/\?[^\s)]*/g, '')))
+        .join('\n');
+}
+
+function normalizeEndpoint(metadata) {
+    const url = metadata.endpoint || metadata.url;
+    if (typeof url !== 'string') {
+        return '';
+    }
+    let pathname = url;
+    try {
+        pathname = new URL(url, 'http://placeholder').pathname;
+    } catch (error) {
+        // Not a URL after all; normalize it as plain text
+    }
+    return [metadata.method || '', normalizeText(pathname), metadata.status || metadata.statusCode || '']
+        .join(' ')
+        .trim();
+}
+
+// Entries describing the same problem share a fingerprint: the normalized title and
+// description plus the stack trace (errors) or endpoint (API failures)
+function fingerprint(entry) {
+    const metadata = entry.metadata || {};
+    const stack = metadata.stack || (metadata.error && metadata.error.stack);
+    const parts = [
+        entry.type,
+        normalizeText(entry.title),
+        normalizeText(entry.description),
+        stack ? normalizeStack(stack) : normalizeEndpoint(metadata)
+    ];
+    return crypto.createHash('sha1').update(parts.join('\n')).digest('hex').slice(0, 16);
+}
+
+// Groups fingerprinted entries into issues, one JSON file per project next to its logs.
+// Resolved issues reopen automatically when they recur; ignored issues stay ignored.
+class IssueTracker {
+    constructor(stores) {
+        this.stores = stores;
+        this.projects = new Map();
+        this.saveTimers = new Map();
+    }
+
+    fileFor(projectId) {
+        return path.join(this.stores.dirFor(projectId), 'issues.json');
+    }
+
+    issuesFor(projectId) {
+        if (!this.projects.has(projectId)) {
+            this.projects.set(projectId, this.load(projectId));
+        }
+        return this.projects.get(projectId);
+    }
+
+    async load(projectId) {
+        const issues = new Map();
+        try {
+            const data = JSON.parse(await fs.readFile(this.fileFor(projectId), 'utf8'));
+            for (const issue of data.issues || []) {
+                issues.set(issue.id, issue);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Failed to load issues for ${projectId}:`, error);
+            }
+        }
+        return issues;
+    }
+
+    async record(entry) {
+        if (!entry.fingerprint) {
+            return;
+        }
+
+        const issues = await this.issuesFor(entry.project);
+        let issue = issues.get(entry.fingerprint);
+
+        if (!issue) {
+            issue = {
+                id: entry.fingerprint,
+                type: entry.type,
+                title: entry.title,
+                description: entry.description,
+                status: 'unresolved',
+                firstSeen: entry.timestamp,
+                lastSeen: entry.timestamp,
+                count: 0,
+                userAgents: {},
+                lastEntryId: entry.id
+            };
+            issues.set(issue.id, issue);
+        }
+
+        issue.count += 1;
+        issue.lastSeen = entry.timestamp;
+        issue.lastEntryId = entry.id;
+
+        const userAgent = entry.metadata && entry.metadata.userAgent;
+        if (userAgent && (issue.userAgents[userAgent] || Object.keys(issue.userAgents).length < MAX_USER_AGENTS)) {
+            issue.userAgents[userAgent] = (issue.userAgents[userAgent] || 0) + 1;
+        }
+
+        if (issue.status === 'resolved') {
+            issue.status = 'unresolved';
+            issue.reopenedAt = entry.timestamp;
+            issue.regressions = (issue.regressions || 0) + 1;
+        }
+
+        this.scheduleSave(entry.project);
+    }
+
+    async list(projectId, { status, type, sort = 'lastSeen', limit = 100 } = {}) {
+        const issues = Array.from((await this.issuesFor(projectId)).values())
+            .filter(issue => (!status || issue.status === status) && (!type || issue.type === type));
+
+        const sorters = {
+            lastSeen: (a, b) => b.lastSeen.localeCompare(a.lastSeen),
+            firstSeen: (a, b) => b.firstSeen.localeCompare(a.firstSeen),
+            count: (a, b) => b.count - a.count
+        };
+        issues.sort(sorters[sort] || sorters.lastSeen);
+
+        return issues.slice(0, limit);
+    }
+
+    async get(projectId, id) {
+        return (await this.issuesFor(projectId)).get(id);
+    }
+
+    async setStatus(projectId, id, status) {
+        const issue = await this.get(projectId, id);
+        if (!issue) {
+            return null;
+        }
+
+        issue.status = status;
+        if (status === 'resolved') {
+            issue.resolvedAt = new Date().toISOString();
+        }
+
+        this.scheduleSave(projectId);
+        return issue;
+    }
+
+    // Rebuilds the given issues from the entries still stored, after a deletion. Issues
+    // without entries left are dropped, so no copy of deleted titles, descriptions or
+    // user agents remains; status and regression history are kept for the rest.
+    // Returns `{ updated, removed }`.
+    async recompute(projectId, store, fingerprints) {
+        const issues = await this.issuesFor(projectId);
+        let updated = 0;
+        let removed = 0;
+
+        for (const id of fingerprints) {
+            const issue = issues.get(id);
+            if (!issue) {
+                continue;
+            }
+
+            let rebuilt = null;
+            for await (const entry of store.scan({ fingerprint: id })) {
+                if (!rebuilt) {
+                    rebuilt = {
+                        type: entry.type,
+                        title: entry.title,
+                        description: entry.description,
+                        firstSeen: entry.timestamp,
+                        count: 0,
+                        userAgents: {}
+                    };
+                }
+                rebuilt.count += 1;
+                rebuilt.lastSeen = entry.timestamp;
+                rebuilt.lastEntryId = entry.id;
+
+                const userAgent = entry.metadata && entry.metadata.userAgent;
+                if (userAgent && (rebuilt.userAgents[userAgent] || Object.keys(rebuilt.userAgents).length < MAX_USER_AGENTS)) {
+                    rebuilt.userAgents[userAgent] = (rebuilt.userAgents[userAgent] || 0) + 1;
+                }
+            }
+
+            if (rebuilt) {
+                Object.assign(issue, rebuilt);
+                updated++;
+            } else {
+                issues.delete(id);
+                removed++;
+            }
+        }
+
+        if (updated + removed > 0) {
+            this.scheduleSave(projectId);
+        }
+        return { updated, removed };
+    }
+
+    // Counts pile up quickly, so writes are coalesced into one save per project every few seconds
+    scheduleSave(projectId) {
+        if (this.saveTimers.has(projectId)) {
+            return;
+        }
+        this.saveTimers.set(projectId, setTimeout(() => {
+            this.saveTimers.delete(projectId);
+            this.save(projectId).catch(error => console.error(`Failed to save issues for ${projectId}:`, error));
+        }, SAVE_DELAY_MS));
+    }
+
+    // Writes pending saves straight away, for shutdown
+    async flush() {
+        for (const [projectId, timer] of Array.from(this.saveTimers)) {
+            clearTimeout(timer);
+            this.saveTimers.delete(projectId);
+            await this.save(projectId);
+        }
+    }
+
+    async save(projectId) {
+        const issues = await this.issuesFor(projectId);
+        const file = this.fileFor(projectId);
+        await fs.writeFile(`${file}.tmp`, JSON.stringify({ issues: Array.from(issues.values()) }));
+        await fs.rename(`${file}.tmp`, file);
+    }
+}
+
+module.exports = { IssueTracker, fingerprint, normalizeText, ISSUE_STATUSES };
@@ -0,0 +1,126 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { createId } = require('./logger');
+
+const LEGACY_SEPARATOR = '='.repeat(50);
+
+// Parses a legacy `<type>_logs.txt` file: pretty-printed JSON blocks separated by a
+// line of 50 `=`. JSON.stringify escapes newlines inside strings and indents every
+// inner line, so a bare separator line can only ever be a real separator.
+function parseLegacyTypeFile(data) {
+    const entries = [];
+    let block = [];
+
+    const flush = () => {
+        const text = block.join('\n').trim();
+        block = [];
+        if (!text) {
+            return;
+        }
+        try {
+            entries.push(JSON.parse(text));
+        } catch (error) {
+            console.warn('Skipping unreadable legacy log block');
+        }
+    };
+
+    for (const line of data.split('\n')) {
+        if (line === LEGACY_SEPARATOR) {
+            flush();
+        } else {
+            block.push(line);
+        }
+    }
+    flush();
+
+    return entries;
+}
+
+// One-time conversion of the old text files into the NDJSON store. Only the per-type
+// files are imported: they hold the full entries, while `app_logs.txt` is a lossy
+// summary of the same events (and may still list entries whose type file was cleared).
+// The text files are deleted once their entries are stored and synced, so the import
+// never runs twice and no copy is left that retention and deletion would not reach.
+// Files kept as `*.imported` by earlier versions are removed too.
+async function importLegacyLogs(logsDir, store) {
+    let files;
+    try {
+        files = await fs.readdir(logsDir);
+    } catch (error) {
+        return 0;
+    }
+
+    for (const file of files.filter(name => name.endsWith('_logs.txt.imported'))) {
+        await fs.unlink(path.join(logsDir, file));
+    }
+
+    const legacyFiles = files.filter(file => file.endsWith('_logs.txt'));
+    if (legacyFiles.length === 0) {
+        return 0;
+    }
+
+    const entries = [];
+    for (const file of legacyFiles) {
+        if (file === 'app_logs.txt') {
+            continue;
+        }
+        const data = await fs.readFile(path.join(logsDir, file), 'utf8');
+        entries.push(...parseLegacyTypeFile(data));
+    }
+
+    entries.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    const converted = entries
+        .filter(entry => entry && entry.type && entry.title)
+        .map(entry => {
+            const time = new Date(entry.timestamp).getTime();
+            return {
+                id: createId(isNaN(time) ? Date.now() : time),
+                ...entry,
+                metadata: entry.metadata || {}
+            };
+        });
+
+    await store.append(converted);
+    if (typeof store.sync === 'function') {
+        await store.sync();
+    }
+
+    for (const file of legacyFiles) {
+        await fs.unlink(path.join(logsDir, file));
+    }
+
+    return converted.length;
+}
+
+// Moves an NDJSON store written before projects existed (directly in `logs/`) into
+// the directory of the project that inherits it
+async function migrateUnscopedLogs(logsDir, projectDir, baseName = 'events') {
+    let files;
+    try {
+        files = await fs.readdir(logsDir);
+    } catch (error) {
+        return 0;
+    }
+
+    const storeFiles = files.filter(file => file === `${baseName}.ndjson` ||
+        (file.startsWith(`${baseName}-`) && file.endsWith('.ndjson.gz')));
+    if (storeFiles.length === 0) {
+        return 0;
+    }
+
+    await fs.mkdir(projectDir, { recursive: true });
+    for (const file of storeFiles) {
+        const target = path.join(projectDir, file);
+        try {
+            await fs.access(target);
+            console.warn(`Not moving ${file}: ${target} already exists`);
+        } catch (error) {
+            await fs.rename(path.join(logsDir, file), target);
+        }
+    }
+
+    return storeFiles.length;
+}
+
+module.exports = { importLegacyLogs, migrateUnscopedLogs, parseLegacyTypeFile };
@@ -0,0 +1,101 @@
+const RATE_LIMIT_KEYS = ['ip', 'key', 'device'];
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Token bucket per client: `max` events per `windowMs`, refilled continuously so a
+// client that stops sending gets its allowance back gradually rather than all at once
+class RateLimiter {
+    constructor({ max, windowMs }) {
+        this.max = max;
+        this.windowMs = windowMs;
+        this.buckets = new Map();
+
+        this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+        this.sweepTimer.unref();
+    }
+
+    get enabled() {
+        return this.max > 0;
+    }
+
+    refill(bucket, now) {
+        const refillRate = this.max / this.windowMs;
+        bucket.tokens = Math.min(this.max, bucket.tokens + (now - bucket.updatedAt) * refillRate);
+        bucket.updatedAt = now;
+    }
+
+    // Takes `count` tokens. Returns `{ allowed: true }` or `{ allowed: false, retryAfter }`
+    // with the number of seconds until that many tokens are available again.
+    take(key, count = 1) {
+        if (!this.enabled) {
+            return { allowed: true };
+        }
+
+        const now = Date.now();
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            bucket = { tokens: this.max, updatedAt: now };
+            this.buckets.set(key, bucket);
+        }
+        this.refill(bucket, now);
+
+        if (bucket.tokens >= count) {
+            bucket.tokens -= count;
+            return { allowed: true, remaining: Math.floor(bucket.tokens) };
+        }
+
+        // A request larger than the whole allowance can never fit; wait for a full bucket
+        const missing = Math.min(count, this.max) - bucket.tokens;
+        const retryAfter = Math.max(1, Math.ceil(missing / (this.max / this.windowMs) / 1000));
+        return { allowed: false, retryAfter };
+    }
+
+    // Full buckets carry no state worth keeping
+    sweep() {
+        const now = Date.now();
+        for (const [key, bucket] of this.buckets) {
+            this.refill(bucket, now);
+            if (bucket.tokens >= this.max) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+}
+
+function metadataDepth(value, depth = 0) {
+    if (value === null || typeof value !== 'object') {
+        return depth;
+    }
+    let deepest = depth + 1;
+    for (const child of Object.values(value)) {
+        deepest = Math.max(deepest, metadataDepth(child, depth + 1));
+    }
+    return deepest;
+}
+
+// Returns an error message when an entry exceeds the configured size limits, or null
+function checkEntryLimits({ title, description, metadata }, limits) {
+    if (typeof title !== 'string') {
+        return 'title must be a string';
+    }
+    if (title.length > limits.maxTitleLength) {
+        return `title is longer than ${limits.maxTitleLength} characters`;
+    }
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+        return 'description must be a string';
+    }
+    if (description && description.length > limits.maxDescriptionLength) {
+        return `description is longer than ${limits.maxDescriptionLength} characters`;
+    }
+    if (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata)) {
+        return 'metadata must be an object';
+    }
+    if (metadataDepth(metadata) > limits.maxMetadataDepth) {
+        return `metadata is nested deeper than ${limits.maxMetadataDepth} levels`;
+    }
+    if (Buffer.byteLength(JSON.stringify(metadata)) > limits.maxMetadataBytes) {
+        return `metadata is larger than ${limits.maxMetadataBytes} bytes`;
+    }
+    return null;
+}
+
+module.exports = { RateLimiter, checkEntryLimits, RATE_LIMIT_KEYS };
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// The app build that sent an entry. Older clients send these inside metadata, where
+// they are still picked up. Platform and environment are compared case-insensitively.
+const RELEASE_FIELDS = ['appVersion', 'buildNumber', 'platform', 'environment'];
+const LOWERCASE_FIELDS = ['platform', 'environment'];
+
+// First-class fields that tie entries together. Clients send them next to title and
+// metadata; they are stored at the top level of the entry and can be filtered on.
+const CONTEXT_FIELDS = ['sessionId', 'userId', 'traceId', ...RELEASE_FIELDS];
+const MAX_CONTEXT_LENGTH = 128;
+
+let lastIdTime = 0;
+let idSequence = 0;
+
+// Ids sort in creation order: base36 time, a per-millisecond sequence, then random bytes
+function createId(time = Date.now()) {
+    idSequence = time === lastIdTime ? idSequence + 1 : 0;
+    lastIdTime = time;
+    return time.toString(36).padStart(9, '0') +
+        idSequence.toString(36).padStart(3, '0') +
+        crypto.randomBytes(4).toString('hex');
+}
+
+function contextValue(field, value) {
+    if (typeof value === 'number' && isFinite(value)) {
+        value = String(value);
+    }
+    if (typeof value !== 'string' || !value || value.length > MAX_CONTEXT_LENGTH) {
+        return undefined;
+    }
+    return LOWERCASE_FIELDS.includes(field) ? value.toLowerCase() : value;
+}
+
+// Picks the context fields out of an event. Returns `{ context }`, or `{ error }`
+// when one of them is not a short string (numbers are accepted and converted).
+function pickContext(event) {
+    const context = {};
+    const metadata = event.metadata && typeof event.metadata === 'object' ? event.metadata : {};
+    for (const field of CONTEXT_FIELDS) {
+        const value = event[field];
+        if (value === undefined || value === null) {
+            // Release fields in metadata are taken when usable and otherwise left alone
+            const fallback = RELEASE_FIELDS.includes(field) ? contextValue(field, metadata[field]) : undefined;
+            if (fallback !== undefined) {
+                context[field] = fallback;
+            }
+            continue;
+        }
+        context[field] = contextValue(field, value);
+        if (context[field] === undefined) {
+            return { error: `${field} must be a non-empty string of at most ${MAX_CONTEXT_LENGTH} characters` };
+        }
+    }
+    return { context };
+}
+
+// Logger class. Entries are written through a WriteBuffer (lib/write-buffer.js). Emits
+// 'entry' with each entry once it has been stored or spooled, and 'failure' with the
+// error and the entry when it could not be processed or written at all.
+class Logger extends EventEmitter {
+    constructor(writer) {
+        super();
+        this.writer = writer;
+        this.processors = [];
+        // Every live dashboard adds a listener
+        this.setMaxListeners(0);
+    }
+
+    // Registers a function that can enrich or rewrite each entry before it is stored
+    use(processor) {
+        this.processors.push(processor);
+        return this;
+    }
+
+    async log(type, title, description = '', metadata = {}, options = {}) {
+        const projectId = options.projectId || 'default';
+        // The id and timestamp are set once the processors are done (see below)
+        const logEntry = {
+            id: null,
+            timestamp: null,
+            project: projectId,
+            type,
+            title,
+            description,
+            metadata
+        };
+
+        // Events replayed from a device queue keep their original time and id
+        if (options.clientTimestamp) {
+            logEntry.clientTimestamp = options.clientTimestamp;
+        }
+        if (options.eventId) {
+            logEntry.eventId = options.eventId;
+        }
+        for (const field of CONTEXT_FIELDS) {
+            if (options.context && options.context[field]) {
+                logEntry[field] = options.context[field];
+            }
+        }
+
+        try {
+            for (const processor of this.processors) {
+                await processor(logEntry);
+            }
+
+            // Processors can take a while (source maps are read from disk), so entries are
+            // stamped only when they join the write queue. Ids then follow storage order,
+            // which the live tail, cursors and spool replay all rely on.
+            const now = Date.now();
+            logEntry.id = createId(now);
+            logEntry.timestamp = new Date(now).toISOString();
+            const { spooled } = await this.writer.write(projectId, logEntry);
+
+            console.log(`Logged ${type} for ${projectId}${spooled ? ' (spooled)' : ''}: ${logEntry.title}`);
+            this.emit('entry', logEntry);
+            return logEntry;
+        } catch (error) {
+            console.error('Failed to write log:', error);
+            this.emit('failure', error, logEntry);
+            return null;
+        }
+    }
+}
+
+module.exports = { Logger, createId, pickContext, contextValue, CONTEXT_FIELDS, RELEASE_FIELDS };
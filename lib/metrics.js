@@ -0,0 +1,154 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Label values are kept in a fixed order so they can be used as a map key
+function labelKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function labelsFromKey(labelNames, key) {
+    const values = JSON.parse(key);
+    return Object.fromEntries(labelNames.map((name, index) => [name, values[index]]));
+}
+
+class Counter {
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.values = new Map();
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = labelKey(this.labelNames, labels);
+        this.values.set(key, (this.values.get(key) || 0) + value);
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+        for (const [key, value] of this.values) {
+            lines.push(`${this.name}${formatLabels(labelsFromKey(this.labelNames, key))} ${value}`);
+        }
+        return lines;
+    }
+}
+
+// Values are read when the metrics are scraped, from a function resolving to
+// `[{ labels, value }]`
+class Gauge {
+    constructor(name, help, collect) {
+        this.name = name;
+        this.help = help;
+        this.collect = collect;
+    }
+
+    async render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} gauge`];
+        for (const { labels = {}, value } of await this.collect()) {
+            lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+        }
+        return lines;
+    }
+}
+
+class Histogram {
+    constructor(name, help, buckets = DEFAULT_BUCKETS) {
+        this.name = name;
+        this.help = help;
+        this.buckets = buckets;
+        this.counts = buckets.map(() => 0);
+        this.sum = 0;
+        this.count = 0;
+    }
+
+    observe(value) {
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                this.counts[index]++;
+            }
+        });
+        this.sum += value;
+        this.count++;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+        this.buckets.forEach((bound, index) => {
+            lines.push(`${this.name}_bucket{le="${bound}"} ${this.counts[index]}`);
+        });
+        lines.push(`${this.name}_bucket{le="+Inf"} ${this.count}`);
+        lines.push(`${this.name}_sum ${this.sum}`);
+        lines.push(`${this.name}_count ${this.count}`);
+        return lines;
+    }
+}
+
+// Metrics in the Prometheus text exposition format, rendered in registration order
+class MetricsRegistry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    counter(name, help, labelNames) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, collect) {
+        return this.register(new Gauge(name, help, collect));
+    }
+
+    histogram(name, help, buckets) {
+        return this.register(new Histogram(name, help, buckets));
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    async render() {
+        const lines = [];
+        for (const metric of this.metrics) {
+            lines.push(...await metric.render());
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+// Total size of the files under a directory, 0 if it does not exist
+async function directorySize(dir) {
+    let entries;
+    try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return 0;
+        }
+        throw error;
+    }
+
+    let size = 0;
+    for (const entry of entries) {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            size += await directorySize(file);
+        } else if (entry.isFile()) {
+            // Removed by rotation or pruning while being walked
+            size += await fs.stat(file).then(stat => stat.size, () => 0);
+        }
+    }
+    return size;
+}
+
+module.exports = { MetricsRegistry, Counter, Gauge, Histogram, directorySize };
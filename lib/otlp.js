@@ -0,0 +1,184 @@
+// OpenTelemetry logs in the OTLP/HTTP JSON encoding (an ExportLogsServiceRequest),
+// turned into the events that /api/log accepts.
+
+const DEFAULT_SEVERITY_TYPES = 'trace=log,debug=log,info=log,warn=log,error=error,fatal=error';
+const SEVERITY_LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+const DEFAULT_TITLE = 'OpenTelemetry log';
+
+// Parses `level=type` pairs such as OTLP_SEVERITY_TYPES; levels left out keep their default
+function parseSeverityTypes(value = '') {
+    const mapping = {};
+    for (const pair of `${DEFAULT_SEVERITY_TYPES},${value}`.split(',')) {
+        const [level, type] = pair.split('=').map(part => part && part.trim());
+        if (!level || !type) {
+            continue;
+        }
+        if (!SEVERITY_LEVELS.includes(level.toLowerCase())) {
+            throw new Error(`Unknown OpenTelemetry severity "${level}". Allowed values: ${SEVERITY_LEVELS.join(', ')}`);
+        }
+        mapping[level.toLowerCase()] = type;
+    }
+    return mapping;
+}
+
+// severityNumber ranges 1-4, 5-8, ... 21-24 map to TRACE ... FATAL. Records without
+// one fall back to their severityText, then to info.
+function severityLevel(record) {
+    const number = Number(record.severityNumber);
+    if (number >= 1 && number <= 24) {
+        return SEVERITY_LEVELS[Math.floor((number - 1) / 4)];
+    }
+    const text = String(record.severityText || '').toLowerCase();
+    return SEVERITY_LEVELS.find(level => text.startsWith(level)) ||
+        (text.startsWith('critical') || text.startsWith('emerg') ? 'fatal' : 'info');
+}
+
+// Converts an AnyValue ({ stringValue }, { intValue }, { kvlistValue }, ...) to plain JSON
+function anyValue(value) {
+    if (!value || typeof value !== 'object') {
+        return null;
+    }
+    if ('stringValue' in value) {
+        return String(value.stringValue);
+    }
+    if ('boolValue' in value) {
+        return Boolean(value.boolValue);
+    }
+    if ('intValue' in value) {
+        // int64 arrives as a string; keep it one when it does not fit a double exactly
+        const number = Number(value.intValue);
+        return Number.isSafeInteger(number) ? number : String(value.intValue);
+    }
+    if ('doubleValue' in value) {
+        return Number(value.doubleValue);
+    }
+    if ('bytesValue' in value) {
+        return String(value.bytesValue);
+    }
+    if (value.arrayValue) {
+        return (value.arrayValue.values || []).map(anyValue);
+    }
+    if (value.kvlistValue) {
+        return attributesToObject(value.kvlistValue.values);
+    }
+    return null;
+}
+
+// Attribute keys such as `service.name` are kept as they are
+function attributesToObject(attributes) {
+    const object = {};
+    for (const attribute of Array.isArray(attributes) ? attributes : []) {
+        if (attribute && typeof attribute.key === 'string') {
+            object[attribute.key] = anyValue(attribute.value);
+        }
+    }
+    return object;
+}
+
+function nanosToIso(value) {
+    if (value === undefined || value === null || value === '' || value === '0' || value === 0) {
+        return undefined;
+    }
+    try {
+        const millis = Number(BigInt(value) / BigInt(1000000));
+        const date = new Date(millis);
+        return isNaN(date.getTime()) ? undefined : date.toISOString();
+    } catch (error) {
+        return undefined;
+    }
+}
+
+// A string body gives the title (its first line) and the description (the rest, or all
+// of it when the first line is too long for a title). Structured bodies are kept as JSON.
+function bodyText(record, maxTitleLength) {
+    const body = anyValue(record.body);
+    const fallbackTitle = record.eventName || record.severityText || DEFAULT_TITLE;
+
+    if (body === null || body === '') {
+        return { title: fallbackTitle, description: '' };
+    }
+    if (typeof body !== 'string') {
+        return { title: fallbackTitle, description: JSON.stringify(body) };
+    }
+
+    const text = body.trim();
+    const newline = text.indexOf('\n');
+    const firstLine = (newline === -1 ? text : text.slice(0, newline)).trim();
+    if (firstLine.length > maxTitleLength) {
+        return { title: firstLine.slice(0, maxTitleLength - 1) + '…', description: text };
+    }
+    return {
+        title: firstLine || fallbackTitle,
+        description: newline === -1 ? '' : text.slice(newline + 1).trim()
+    };
+}
+
+function logRecords(request) {
+    const records = [];
+    for (const resourceLogs of request.resourceLogs) {
+        for (const scopeLogs of (resourceLogs && resourceLogs.scopeLogs) || []) {
+            for (const record of (scopeLogs && scopeLogs.logRecords) || []) {
+                records.push({ resourceLogs, scopeLogs, record: record || {} });
+            }
+        }
+    }
+    return records;
+}
+
+function countLogRecords(request) {
+    return isExportRequest(request) ? logRecords(request).length : 0;
+}
+
+function isExportRequest(request) {
+    return Boolean(request) && typeof request === 'object' && Array.isArray(request.resourceLogs);
+}
+
+// Returns `{ events }` in the shape /api/log takes (type, title, description, metadata,
+// clientTimestamp and the context and release fields), or `{ error }` when the request is malformed.
+// Events still go through the same validation as any other.
+function parseExportRequest(request, { severityTypes, maxTitleLength }) {
+    if (!isExportRequest(request)) {
+        return { error: 'Request body must be an ExportLogsServiceRequest with resourceLogs' };
+    }
+
+    const events = logRecords(request).map(({ resourceLogs, scopeLogs, record }) => {
+        const attributes = attributesToObject(record.attributes);
+        const resource = attributesToObject(resourceLogs.resource && resourceLogs.resource.attributes);
+        const scope = scopeLogs.scope || {};
+        const { title, description } = bodyText(record, maxTitleLength);
+
+        const metadata = {
+            attributes,
+            resource,
+            scope: { name: scope.name || null, version: scope.version || null },
+            severityText: record.severityText || null,
+            severityNumber: record.severityNumber || null
+        };
+        if (record.spanId) {
+            metadata.spanId = record.spanId;
+        }
+        // Grouped into issues like the stack traces the apps send
+        if (typeof attributes['exception.stacktrace'] === 'string') {
+            metadata.stack = attributes['exception.stacktrace'];
+        }
+
+        return {
+            type: severityTypes[severityLevel(record)],
+            title,
+            description,
+            metadata,
+            clientTimestamp: nanosToIso(record.timeUnixNano) || nanosToIso(record.observedTimeUnixNano),
+            traceId: record.traceId || undefined,
+            sessionId: attributes['session.id'] || undefined,
+            userId: attributes['user.id'] || attributes['enduser.id'] || undefined,
+            // Release fields from the resource semantic conventions
+            appVersion: resource['service.version'] || undefined,
+            platform: resource['os.name'] || resource['os.type'] || undefined,
+            environment: resource['deployment.environment.name'] || resource['deployment.environment'] || undefined
+        };
+    });
+
+    return { events };
+}
+
+module.exports = { parseExportRequest, parseSeverityTypes, countLogRecords, severityLevel, anyValue };
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PROJECT = { id: 'default', name: 'Default', source: 'react-native-app' };
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// Reads project definitions from the NOGGER_PROJECTS env var (JSON) or from a JSON file.
+// Both hold `{ "projects": [{ id, name, source, ingestKey, adminKey }] }` or a bare array.
+function loadProjectConfig(file) {
+    let raw = process.env.NOGGER_PROJECTS;
+    if (!raw) {
+        if (!fs.existsSync(file)) {
+            return [];
+        }
+        raw = fs.readFileSync(file, 'utf8');
+    }
+
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : parsed.projects || [];
+}
+
+// Projects partition the logs: each one has its own store plus an ingest key, which can
+// only write, and an admin key, which can also read and delete. With no projects
+// configured everything runs in a single open `default` project, as before.
+class ProjectRegistry {
+    constructor(projects = []) {
+        this.projects = new Map();
+        this.keys = new Map();
+        this.authEnabled = projects.length > 0;
+
+        for (const project of projects) {
+            this.add(project);
+        }
+        if (!this.authEnabled) {
+            this.projects.set(DEFAULT_PROJECT.id, { ...DEFAULT_PROJECT });
+        }
+    }
+
+    add(config) {
+        const { id, name = id, source = id, ingestKey, adminKey } = config;
+
+        if (!id || !/^[a-z0-9_-]+$/i.test(id)) {
+            throw new Error(`Invalid project id "${id}": use letters, numbers, "-" and "_"`);
+        }
+        if (this.projects.has(id)) {
+            throw new Error(`Duplicate project id "${id}"`);
+        }
+        if (!ingestKey || !adminKey) {
+            throw new Error(`Project "${id}" needs both an ingestKey and an adminKey`);
+        }
+
+        const project = { id, name, source };
+        for (const [key, role] of [[ingestKey, 'ingest'], [adminKey, 'admin']]) {
+            const hash = hashKey(key);
+            if (this.keys.has(hash)) {
+                throw new Error(`Project "${id}" reuses an API key that is already assigned`);
+            }
+            this.keys.set(hash, { project, role });
+        }
+
+        this.projects.set(id, project);
+    }
+
+    get(id) {
+        return this.projects.get(id);
+    }
+
+    list() {
+        return Array.from(this.projects.values());
+    }
+
+    // The project that inherits logs written before projects existed
+    defaultProject() {
+        return this.list()[0];
+    }
+
+    // Returns `{ project, role }` for a key, or undefined for an unknown one
+    authenticate(key) {
+        return key ? this.keys.get(hashKey(key)) : undefined;
+    }
+}
+
+function extractApiKey(req) {
+    const header = req.headers.authorization;
+    if (header && header.startsWith('Bearer ')) {
+        return header.slice('Bearer '.length).trim();
+    }
+    if (req.headers['x-api-key']) {
+        return req.headers['x-api-key'];
+    }
+    // Browsers opening the dashboard can only pass the key in the URL
+    if (req.method === 'GET' && typeof req.query.key === 'string') {
+        return req.query.key;
+    }
+    return undefined;
+}
+
+// Express middleware factory: `role` is 'ingest' for write routes and 'admin' for
+// read and delete routes. The admin key is accepted everywhere.
+function requireKey(registry, role) {
+    return (req, res, next) => {
+        if (!registry.authEnabled) {
+            req.project = registry.defaultProject();
+            return next();
+        }
+
+        const key = extractApiKey(req);
+        const match = registry.authenticate(key);
+
+        if (!match) {
+            return res.status(401).json({
+                success: false,
+                error: key ? 'Invalid API key' : 'Missing API key'
+            });
+        }
+
+        if (role === 'admin' && match.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                error: 'This API key cannot read or delete logs'
+            });
+        }
+
+        req.project = match.project;
+        req.keyRole = match.role;
+        next();
+    };
+}
+
+// Keeps one lazily initialised store per project under `<logsDir>/<projectId>/`
+class ProjectStores {
+    constructor(logsDir, createStore) {
+        this.logsDir = logsDir;
+        this.createStore = createStore;
+        this.stores = new Map();
+    }
+
+    dirFor(projectId) {
+        return path.join(this.logsDir, projectId);
+    }
+
+    get(projectId) {
+        if (!this.stores.has(projectId)) {
+            const dir = this.dirFor(projectId);
+            const ready = fs.promises.mkdir(dir, { recursive: true }).then(async () => {
+                const store = this.createStore(dir);
+                await store.init();
+                return store;
+            });
+            // Let a failed init be retried on the next request
+            ready.catch(() => this.stores.delete(projectId));
+            this.stores.set(projectId, ready);
+        }
+        return this.stores.get(projectId);
+    }
+}
+
+module.exports = { ProjectRegistry, ProjectStores, loadProjectConfig, requireKey, extractApiKey };
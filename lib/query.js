@@ -0,0 +1,231 @@
+const { CONTEXT_FIELDS, contextValue } = require('./logger');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reads a dotted path such as `metadata.request.url` out of an entry. Keys that contain
+// dots themselves, like the OpenTelemetry attribute `service.name`, are matched too.
+function getPath(object, dottedPath) {
+    if (object === null || typeof object !== 'object') {
+        return undefined;
+    }
+    if (Object.prototype.hasOwnProperty.call(object, dottedPath)) {
+        return object[dottedPath];
+    }
+
+    let dot = dottedPath.indexOf('.');
+    while (dot !== -1) {
+        const key = dottedPath.slice(0, dot);
+        if (Object.prototype.hasOwnProperty.call(object, key)) {
+            const value = getPath(object[key], dottedPath.slice(dot + 1));
+            if (value !== undefined) {
+                return value;
+            }
+        }
+        dot = dottedPath.indexOf('.', dot + 1);
+    }
+    return undefined;
+}
+
+function parseTime(value) {
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    return isNaN(time) ? null : time;
+}
+
+function toList(value) {
+    if (value === undefined) {
+        return [];
+    }
+    return (Array.isArray(value) ? value : [value])
+        .flatMap(item => String(item).split(','))
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+// Turns `/api/logs` query parameters into a filter. Supported parameters:
+//   type, from, to (ISO date or epoch ms), q (search in title and description),
+//   title (search in the title only), id=<id>[,...],
+//   metadata.<path>=<value> (equality), exists=metadata.<path>[,...],
+//   fingerprint (entries grouped into one issue), sessionId, userId, traceId,
+//   appVersion, buildNumber, platform, environment, cursor (from a previous page)
+//   and limit.
+// Returns `{ filter }`, or `{ error }` describing the first invalid parameter.
+function parseLogQuery(params = {}) {
+    const filter = {
+        type: params.type && params.type !== 'all' ? params.type : undefined,
+        search: params.q ? String(params.q).toLowerCase() : undefined,
+        title: params.title ? String(params.title).toLowerCase() : undefined,
+        ids: toList(params.id),
+        metadata: {},
+        exists: [],
+        fingerprint: params.fingerprint || undefined,
+        cursor: params.cursor || undefined,
+        limit: DEFAULT_LIMIT
+    };
+
+    for (const field of CONTEXT_FIELDS) {
+        filter[field] = params[field] ? contextValue(field, String(params[field])) : undefined;
+    }
+
+    if (filter.ids.length > MAX_LIMIT) {
+        return { error: `At most ${MAX_LIMIT} ids can be given at once` };
+    }
+
+    for (const key of ['from', 'to']) {
+        const time = parseTime(params[key]);
+        if (time === null) {
+            return { error: `Invalid ${key} timestamp` };
+        }
+        filter[key] = time;
+    }
+
+    if (params.limit !== undefined) {
+        const limit = parseInt(params.limit, 10);
+        if (isNaN(limit) || limit < 1) {
+            return { error: 'limit must be a positive number' };
+        }
+        filter.limit = Math.min(limit, MAX_LIMIT);
+    }
+
+    for (const [key, value] of Object.entries(params)) {
+        if (key.startsWith('metadata.')) {
+            filter.metadata[key.slice('metadata.'.length)] = String(value);
+        }
+    }
+
+    for (const field of toList(params.exists)) {
+        if (!field.startsWith('metadata.')) {
+            return { error: 'exists only supports metadata.<key> fields' };
+        }
+        filter.exists.push(field.slice('metadata.'.length));
+    }
+
+    return { filter };
+}
+
+// Builds the filter for a deletion. Accepts the /api/logs filters (without cursor and
+// limit) plus olderThanDays and dryRun. An empty filter would match every entry, so
+// deleting everything has to be asked for explicitly with all=true.
+function parseDeleteQuery(params = {}) {
+    const { filter, error } = parseLogQuery(params);
+    if (error) {
+        return { error };
+    }
+    delete filter.cursor;
+    delete filter.limit;
+
+    if (params.olderThanDays !== undefined) {
+        const days = Number(params.olderThanDays);
+        if (params.olderThanDays === '' || isNaN(days) || days < 0) {
+            return { error: 'olderThanDays must be a non-negative number' };
+        }
+        const cutoff = Date.now() - days * DAY_MS;
+        filter.to = filter.to === undefined ? cutoff : Math.min(filter.to, cutoff);
+    }
+
+    if (isEmptyFilter(filter) && !isTrue(params.all)) {
+        return { error: 'Add a filter (id, type, from, to, olderThanDays, q, title, metadata.<key>, exists, fingerprint, sessionId, userId, traceId, appVersion, buildNumber, platform, environment) or all=true to delete every entry' };
+    }
+
+    return { filter, dryRun: isTrue(params.dryRun) };
+}
+
+function isTrue(value) {
+    return value === 'true' || value === '1' || value === true;
+}
+
+function isEmptyFilter(filter) {
+    return !filter.type && !filter.search && !filter.title && !filter.fingerprint &&
+        CONTEXT_FIELDS.every(field => !filter[field]) &&
+        filter.from === undefined && filter.to === undefined &&
+        (filter.ids || []).length === 0 &&
+        Object.keys(filter.metadata || {}).length === 0 &&
+        (filter.exists || []).length === 0;
+}
+
+function matchesFilter(entry, filter) {
+    if (filter.type && entry.type !== filter.type) {
+        return false;
+    }
+    if (filter.ids && filter.ids.length > 0 && !filter.ids.includes(entry.id)) {
+        return false;
+    }
+    for (const field of CONTEXT_FIELDS) {
+        if (filter[field] && entry[field] !== filter[field]) {
+            return false;
+        }
+    }
+    if (filter.fingerprint && entry.fingerprint !== filter.fingerprint) {
+        return false;
+    }
+
+    const time = Date.parse(entry.timestamp);
+    if (filter.from !== undefined && !(time >= filter.from)) {
+        return false;
+    }
+    if (filter.to !== undefined && !(time <= filter.to)) {
+        return false;
+    }
+
+    if (filter.search) {
+        const text = `${entry.title || ''}\n${entry.description || ''}`.toLowerCase();
+        if (!text.includes(filter.search)) {
+            return false;
+        }
+    }
+    if (filter.title && !String(entry.title || '').toLowerCase().includes(filter.title)) {
+        return false;
+    }
+
+    const metadata = entry.metadata || {};
+    for (const [key, expected] of Object.entries(filter.metadata || {})) {
+        const value = getPath(metadata, key);
+        if (value === undefined || value === null || String(value) !== expected) {
+            return false;
+        }
+    }
+    for (const key of filter.exists || []) {
+        if (getPath(metadata, key) === undefined) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+// Runs a filter over entries yielded newest first. Ids sort in creation order, so the
+// cursor is simply the id of the last entry on the previous page.
+async function runQuery(entries, filter) {
+    const limit = filter.limit || DEFAULT_LIMIT;
+    const results = [];
+    let hasMore = false;
+
+    for await (const entry of entries) {
+        if (filter.cursor && entry.id >= filter.cursor) {
+            continue;
+        }
+        // Entries arrive newest first, so nothing further back can be in range
+        if (filter.from !== undefined && Date.parse(entry.timestamp) < filter.from) {
+            break;
+        }
+        if (!matchesFilter(entry, filter)) {
+            continue;
+        }
+        if (results.length === limit) {
+            hasMore = true;
+            break;
+        }
+        results.push(entry);
+    }
+
+    return {
+        logs: results,
+        nextCursor: hasMore ? results[results.length - 1].id : null
+    };
+}
+
+module.exports = { parseLogQuery, parseDeleteQuery, isEmptyFilter, matchesFilter, runQuery, getPath };
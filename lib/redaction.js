@@ -0,0 +1,173 @@
+const fs = require('fs');
+const { CONTEXT_FIELDS } = require('./logger');
+
+function luhnValid(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) {
+                digit -= 9;
+            }
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+// What follows `fn@main.jsbundle` or `fn@cdn.example.com/app.js` in a JavaScriptCore
+// stack frame: an optional path, then the line and column
+const FRAME_SUFFIX = /^(?:[/?][^\s)]*)?:\d+(?::\d+)?/;
+
+// Built-in detectors. `replace` returns the replacement for one match, or null to keep
+// the match (used to skip digit runs that are not valid card numbers). It is also given
+// the match's offset and the whole string.
+const DETECTORS = {
+    // JavaScriptCore frames (`render@main.jsbundle:1:2345`) look like addresses but are
+    // kept, or source maps and issue fingerprints would have nothing to work with
+    'email': {
+        pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+        replace: (match, placeholder, offset, text) => (FRAME_SUFFIX.test(text.slice(offset + match.length)) ? null : placeholder)
+    },
+    'jwt': {
+        pattern: /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g
+    },
+    'bearer-token': {
+        pattern: /\b(Bearer|Basic|Token)\s+[A-Za-z0-9._~+/=-]{8,}/g,
+        replace: (match, placeholder) => `${match.split(/\s+/)[0]} ${placeholder}`
+    },
+    'credit-card': {
+        pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+        replace: (match, placeholder) => (luhnValid(match.replace(/\D/g, '')) ? placeholder : null)
+    },
+    // International numbers with a leading +, or North American style 555-123-4567
+    'phone': {
+        pattern: /\+\d{1,3}[\s-]?(?:\(\d{1,4}\)[\s-]?)?\d[\d\s-]{6,14}\d\b|\(?\b\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/g
+    }
+};
+
+const DEFAULT_DENY_KEYS = [
+    'password', 'passwd', 'secret', 'token', 'accessToken', 'refreshToken', 'idToken',
+    'authorization', 'cookie', 'setCookie', 'apiKey', 'creditCard', 'cardNumber', 'cvv', 'cvc', 'ssn'
+];
+
+// Key names are compared without case, dashes or underscores, so `Set-Cookie`,
+// `set_cookie` and `setCookie` all match
+function normalizeKey(key) {
+    return String(key).toLowerCase().replace(/[-_]/g, '');
+}
+
+// Reads redaction settings from the NOGGER_REDACTION env var (JSON) or from a JSON file:
+// `{ "enabled": true, "detectors": [...], "denyKeys": [...], "rules": [{ "name", "pattern", "flags" }] }`
+function loadRedactionConfig(file) {
+    let raw = process.env.NOGGER_REDACTION;
+    if (!raw) {
+        if (!fs.existsSync(file)) {
+            return {};
+        }
+        raw = fs.readFileSync(file, 'utf8');
+    }
+    return JSON.parse(raw);
+}
+
+// Masks personal data in an entry before anything is stored. Matches are replaced by
+// `[REDACTED:<rule>]` and the names of the rules that fired are listed in `redactions`.
+class Redactor {
+    constructor({ enabled = true, detectors = Object.keys(DETECTORS), denyKeys = DEFAULT_DENY_KEYS, rules = [] } = {}) {
+        this.enabled = enabled;
+
+        for (const name of detectors) {
+            if (!DETECTORS[name]) {
+                throw new Error(`Unknown redaction detector "${name}". Available: ${Object.keys(DETECTORS).join(', ')}`);
+            }
+        }
+
+        this.rules = detectors.map(name => ({ name, ...DETECTORS[name] }));
+        for (const rule of rules) {
+            if (!rule || !rule.name || !rule.pattern) {
+                throw new Error('Custom redaction rules need a name and a pattern');
+            }
+            let pattern;
+            try {
+                const flags = rule.flags || '';
+                pattern = new RegExp(rule.pattern, flags.includes('g') ? flags : `${flags}g`);
+            } catch (error) {
+                throw new Error(`Invalid pattern for redaction rule "${rule.name}": ${error.message}`);
+            }
+            this.rules.push({ name: rule.name, pattern });
+        }
+
+        this.denyKeys = new Set(denyKeys.map(normalizeKey));
+    }
+
+    redactString(text, fired) {
+        let result = text;
+        for (const rule of this.rules) {
+            const placeholder = `[REDACTED:${rule.name}]`;
+            result = result.replace(rule.pattern, (match, ...args) => {
+                // The arguments end with the offset and the string, plus the named groups
+                // when the pattern has any
+                if (typeof args[args.length - 1] === 'object') {
+                    args.pop();
+                }
+                const [offset, string] = args.slice(-2);
+                const replacement = rule.replace ? rule.replace(match, placeholder, offset, string) : placeholder;
+                if (replacement === null) {
+                    return match;
+                }
+                fired.add(rule.name);
+                return replacement;
+            });
+        }
+        return result;
+    }
+
+    redactValue(value, fired) {
+        if (typeof value === 'string') {
+            return this.redactString(value, fired);
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.redactValue(item, fired));
+        }
+        if (value !== null && typeof value === 'object') {
+            const result = {};
+            for (const [key, child] of Object.entries(value)) {
+                if (this.denyKeys.has(normalizeKey(key))) {
+                    fired.add(`key:${key}`);
+                    result[key] = '[REDACTED:key]';
+                } else {
+                    result[key] = this.redactValue(child, fired);
+                }
+            }
+            return result;
+        }
+        return value;
+    }
+
+    // Logger processor: rewrites title, description, metadata and the context fields
+    // (userId, sessionId, ...) in place
+    redactEntry(entry) {
+        if (!this.enabled) {
+            return;
+        }
+
+        const fired = new Set();
+        entry.title = this.redactString(entry.title, fired);
+        if (entry.description) {
+            entry.description = this.redactString(entry.description, fired);
+        }
+        entry.metadata = this.redactValue(entry.metadata, fired);
+        for (const field of CONTEXT_FIELDS) {
+            if (typeof entry[field] === 'string') {
+                entry[field] = this.redactString(entry[field], fired);
+            }
+        }
+
+        if (fired.size > 0) {
+            entry.redactions = Array.from(fired).sort();
+        }
+    }
+}
+
+module.exports = { Redactor, loadRedactionConfig, DETECTORS, DEFAULT_DENY_KEYS };
@@ -0,0 +1,182 @@
+const { parseStatsOptions, INTERVALS } = require('./stats');
+
+const DEFAULT_WINDOW_MS = 7 * INTERVALS.day;
+const DEFAULT_RATE_TYPES = ['error', 'api-failed'];
+const DEFAULT_THRESHOLD = 0.5;
+const DEFAULT_MIN_EVENTS = 50;
+// Rates this close together are noise, however large the relative change
+const MIN_RATE_INCREASE = 0.01;
+
+// Orders versions numerically, so 1.10.0 comes after 1.9.2
+function compareVersions(a, b) {
+    return a.localeCompare(b, 'en', { numeric: true });
+}
+
+function toList(value) {
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+// Validates /api/releases options on top of a parsed log filter: the window (last 7 days
+// by default), `types` whose rates are compared, the relative increase that counts as a
+// regression (`threshold`, 0.5 = 50% worse) and `minEvents` a version needs before it
+// is compared at all. Returns `{ options }` or `{ error }`.
+function parseReleaseOptions(filter, params, types) {
+    const to = filter.to !== undefined ? filter.to : Date.now();
+    const from = filter.from !== undefined ? filter.from : to - DEFAULT_WINDOW_MS;
+    const { options, error } = parseStatsOptions({ ...filter, from, to }, { interval: params.interval });
+    if (error) {
+        return { error };
+    }
+
+    // Types that are no longer registered are allowed, their entries are still stored
+    const rateTypes = params.types
+        ? toList(params.types).map(type => (types.resolve(type) || { name: type }).name)
+        : DEFAULT_RATE_TYPES.filter(type => types.has(type));
+
+    const threshold = params.threshold !== undefined ? parseFloat(params.threshold) : DEFAULT_THRESHOLD;
+    if (!isFinite(threshold) || threshold < 0) {
+        return { error: 'threshold must be a number of at least 0' };
+    }
+    const minEvents = params.minEvents !== undefined ? parseInt(params.minEvents, 10) : DEFAULT_MIN_EVENTS;
+    if (!Number.isInteger(minEvents) || minEvents < 1) {
+        return { error: 'minEvents must be a positive integer' };
+    }
+
+    return { options: { from: options.from, to: options.to, interval: options.interval, rateTypes, threshold, minEvents } };
+}
+
+function emptyCounts(rateTypes) {
+    return Object.fromEntries(rateTypes.map(type => [type, 0]));
+}
+
+function rates(counts, total) {
+    return Object.fromEntries(Object.entries(counts).map(([type, count]) => [type, total > 0 ? round(count / total) : 0]));
+}
+
+// The rate types where a release is clearly worse than the one before it
+function findRegressions(release, previous, { rateTypes, threshold, minEvents }) {
+    if (!previous || release.total < minEvents || previous.total < minEvents) {
+        return [];
+    }
+    return rateTypes
+        .filter(type => {
+            const rate = release.rates[type];
+            const previousRate = previous.rates[type];
+            return rate - previousRate >= MIN_RATE_INCREASE && rate > previousRate * (1 + threshold);
+        })
+        .map(type => ({
+            type,
+            rate: release.rates[type],
+            previousRate: previous.rates[type],
+            previousVersion: previous.appVersion
+        }));
+}
+
+// Groups entries (yielded oldest first) by appVersion and compares each version's
+// error and API failure rates, as a share of all its events, with the version below it
+async function computeReleases(entries, { from, to, interval, rateTypes, threshold, minEvents }) {
+    const bucketMs = INTERVALS[interval];
+    const firstBucket = Math.floor(from / bucketMs) * bucketMs;
+    const releases = new Map();
+    let untagged = 0;
+
+    for await (const entry of entries) {
+        const time = Date.parse(entry.timestamp);
+        if (time < from || time > to) {
+            continue;
+        }
+        if (!entry.appVersion) {
+            untagged++;
+            continue;
+        }
+
+        let release = releases.get(entry.appVersion);
+        if (!release) {
+            release = {
+                appVersion: entry.appVersion,
+                builds: new Set(),
+                platforms: new Set(),
+                environments: new Set(),
+                sessions: new Set(),
+                total: 0,
+                counts: emptyCounts(rateTypes),
+                firstSeen: entry.timestamp,
+                lastSeen: entry.timestamp,
+                series: new Map()
+            };
+            releases.set(entry.appVersion, release);
+        }
+
+        release.total++;
+        release.lastSeen = entry.timestamp;
+        for (const [set, value] of [
+            [release.builds, entry.buildNumber],
+            [release.platforms, entry.platform],
+            [release.environments, entry.environment],
+            [release.sessions, entry.sessionId]
+        ]) {
+            if (value) {
+                set.add(value);
+            }
+        }
+
+        const bucketTime = firstBucket + Math.floor((time - firstBucket) / bucketMs) * bucketMs;
+        if (!release.series.has(bucketTime)) {
+            release.series.set(bucketTime, { total: 0, counts: emptyCounts(rateTypes) });
+        }
+        const bucket = release.series.get(bucketTime);
+        bucket.total++;
+        if (entry.type in release.counts) {
+            release.counts[entry.type]++;
+            bucket.counts[entry.type]++;
+        }
+    }
+
+    // Newest version first; each is compared with the next one down
+    const list = Array.from(releases.values())
+        .sort((a, b) => compareVersions(b.appVersion, a.appVersion))
+        .map(release => ({
+            appVersion: release.appVersion,
+            builds: Array.from(release.builds).sort(compareVersions),
+            platforms: Array.from(release.platforms).sort(),
+            environments: Array.from(release.environments).sort(),
+            total: release.total,
+            sessions: release.sessions.size,
+            counts: release.counts,
+            rates: rates(release.counts, release.total),
+            firstSeen: release.firstSeen,
+            lastSeen: release.lastSeen,
+            series: Array.from(release.series.entries()).map(([time, bucket]) => ({
+                time: new Date(time).toISOString(),
+                total: bucket.total,
+                counts: bucket.counts,
+                rates: rates(bucket.counts, bucket.total)
+            }))
+        }));
+
+    list.forEach((release, index) => {
+        const previous = list[index + 1];
+        release.previousVersion = previous ? previous.appVersion : null;
+        release.regressions = findRegressions(release, previous, { rateTypes, threshold, minEvents });
+        release.regressed = release.regressions.length > 0;
+    });
+
+    return {
+        window: {
+            from: new Date(from).toISOString(),
+            to: new Date(to).toISOString(),
+            interval
+        },
+        rateTypes,
+        threshold,
+        minEvents,
+        untagged,
+        releases: list
+    };
+}
+
+module.exports = { computeReleases, parseReleaseOptions, compareVersions };
@@ -0,0 +1,44 @@
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 1000;
+
+// When the event happened on the device. Events replayed from an offline queue are
+// stored later than they occurred, so their client time gives the real order.
+function eventTime(entry) {
+    return Date.parse(entry.clientTimestamp || entry.timestamp) || 0;
+}
+
+// Every event of one session in the order it happened. Long sessions keep their most
+// recent `limit` events; `total` tells how many there were.
+async function loadSession(store, sessionId, { limit = DEFAULT_LIMIT } = {}) {
+    const events = [];
+    let total = 0;
+
+    for await (const entry of store.scan({ sessionId })) {
+        total++;
+        events.push(entry);
+        if (events.length > limit) {
+            events.shift();
+        }
+    }
+
+    events.sort((a, b) => eventTime(a) - eventTime(b));
+
+    const userIds = new Set(events.map(entry => entry.userId).filter(Boolean));
+    return {
+        sessionId,
+        count: events.length,
+        total,
+        truncated: total > events.length,
+        firstSeen: events.length > 0 ? new Date(eventTime(events[0])).toISOString() : null,
+        lastSeen: events.length > 0 ? new Date(eventTime(events[events.length - 1])).toISOString() : null,
+        userIds: Array.from(userIds),
+        events
+    };
+}
+
+function parseSessionLimit(value) {
+    const limit = parseInt(value, 10);
+    return isNaN(limit) || limit < 1 ? DEFAULT_LIMIT : Math.min(limit, MAX_LIMIT);
+}
+
+module.exports = { loadSession, parseSessionLimit, eventTime };
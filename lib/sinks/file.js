@@ -0,0 +1,82 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { formatSyslog } = require('./syslog');
+
+const FORMATS = ['ndjson', 'text', 'syslog'];
+
+// Appends entries to a local file in NDJSON, plain text or RFC 5424 syslog lines.
+// Once the file passes `maxSizeMb` it is renamed to `<path>.1`, older files shift to
+// `.2` and so on, and only the newest `maxFiles` rotated files are kept.
+class FileSink {
+    constructor(config, { severityOf }) {
+        const { name, format = 'ndjson', maxSizeMb = 10, maxFiles = 5 } = config;
+
+        if (typeof config.path !== 'string' || !config.path) {
+            throw new Error(`Sink "${name}": path is required`);
+        }
+        if (!FORMATS.includes(format)) {
+            throw new Error(`Sink "${name}": invalid format. Allowed formats: ${FORMATS.join(', ')}`);
+        }
+
+        this.file = path.resolve(config.path);
+        this.format = format;
+        this.maxSize = maxSizeMb * 1024 * 1024;
+        this.maxFiles = maxFiles;
+        this.severityOf = severityOf;
+        this.size = null;
+    }
+
+    line(entry) {
+        if (this.format === 'ndjson') {
+            return JSON.stringify(entry);
+        }
+        if (this.format === 'syslog') {
+            return formatSyslog(entry, {
+                facility: 16,
+                severity: this.severityOf(entry),
+                hostname: os.hostname(),
+                appName: 'nogger',
+                sdId: 'nogger@32473'
+            }).replace(/\n/g, '\\n');
+        }
+
+        let text = `${entry.timestamp} [${entry.type.toUpperCase()}] ${entry.project}: ${entry.title}`;
+        if (entry.description) {
+            text += ` - ${entry.description}`;
+        }
+        if (entry.metadata && Object.keys(entry.metadata).length > 0) {
+            text += ` ${JSON.stringify(entry.metadata)}`;
+        }
+        return text.replace(/\n/g, '\\n');
+    }
+
+    async send(entries) {
+        if (this.size === null) {
+            await fs.mkdir(path.dirname(this.file), { recursive: true });
+            this.size = await fs.stat(this.file).then(stat => stat.size, () => 0);
+        }
+
+        const data = entries.map(entry => this.line(entry) + '\n').join('');
+        const bytes = Buffer.byteLength(data);
+        if (this.size > 0 && this.size + bytes > this.maxSize) {
+            await this.rotate();
+        }
+
+        await fs.appendFile(this.file, data);
+        this.size += bytes;
+    }
+
+    async rotate() {
+        await fs.unlink(`${this.file}.${this.maxFiles}`).catch(() => {});
+        for (let index = this.maxFiles - 1; index >= 1; index--) {
+            await fs.rename(`${this.file}.${index}`, `${this.file}.${index + 1}`).catch(() => {});
+        }
+        await fs.rename(this.file, `${this.file}.1`);
+        this.size = 0;
+    }
+
+    async close() {}
+}
+
+module.exports = { FileSink };
@@ -0,0 +1,37 @@
+const { postJson } = require('../http-client');
+
+// POSTs batches of entries as `{ "source": "nogger", "entries": [...] }`. Network errors,
+// timeouts, 408, 429 and 5xx responses are retried; other 4xx responses mean the
+// receiver will never take the batch, so it is dropped.
+class HttpSink {
+    constructor(config) {
+        const { name, url, headers = {}, timeoutMs = 10000 } = config;
+
+        if (typeof url !== 'string' || !/^https?:\/\//.test(url)) {
+            throw new Error(`Sink "${name}": url must be an http(s) URL`);
+        }
+
+        this.url = url;
+        this.headers = headers;
+        this.timeoutMs = timeoutMs;
+    }
+
+    async send(entries) {
+        try {
+            await postJson(this.url, { source: 'nogger', entries }, {
+                timeoutMs: this.timeoutMs,
+                headers: this.headers
+            });
+        } catch (error) {
+            const status = error.statusCode;
+            if (status >= 400 && status < 500 && status !== 408 && status !== 429) {
+                error.permanent = true;
+            }
+            throw error;
+        }
+    }
+
+    async close() {}
+}
+
+module.exports = { HttpSink };
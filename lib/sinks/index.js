@@ -0,0 +1,258 @@
+// Forwarding sinks. Every stored entry is offered to each configured sink whose filter
+// matches. Entries wait in a per-sink queue and are delivered in the background, in
+// batches, with retries and exponential backoff, so a slow or unreachable destination
+// never holds up or fails ingestion. A sink kind only has to implement:
+//
+//   send(entries)  deliver a batch; reject to have it retried, or with an error that
+//                  has `permanent: true` to drop it straight away
+//   close()        release sockets and file handles
+//
+// Configuration comes from NOGGER_SINKS (JSON) or a JSON file:
+//   { "sinks": [{ "name", "kind": "syslog" | "http" | "file", "types", "minSeverity",
+//                 "projects", "batchSize", "flushIntervalMs", ...kind options }] }
+
+const fs = require('fs');
+const { SEVERITY_LEVELS, severityRank } = require('../types');
+
+const KINDS = {
+    syslog: () => require('./syslog').SyslogSink,
+    http: () => require('./http').HttpSink,
+    file: () => require('./file').FileSink
+};
+
+const DEFAULTS = {
+    syslog: { batchSize: 50, flushIntervalMs: 0 },
+    http: { batchSize: 100, flushIntervalMs: 2000 },
+    file: { batchSize: 100, flushIntervalMs: 0 }
+};
+
+function loadSinkConfig(file) {
+    let raw = process.env.NOGGER_SINKS;
+    if (!raw) {
+        if (!fs.existsSync(file)) {
+            return {};
+        }
+        raw = fs.readFileSync(file, 'utf8');
+    }
+    return JSON.parse(raw);
+}
+
+// Filtering, queueing, batching and retries around one sink
+class SinkRunner {
+    constructor(sink, config, severityOf) {
+        const { name, kind, types, minSeverity, projects } = config;
+        const options = { ...DEFAULTS[kind], ...config };
+
+        this.sink = sink;
+        this.name = name;
+        this.kind = kind;
+        this.types = types;
+        this.minRank = minSeverity ? severityRank(minSeverity) : -1;
+        this.projects = projects;
+        this.severityOf = severityOf;
+
+        this.batchSize = options.batchSize;
+        this.flushIntervalMs = options.flushIntervalMs;
+        this.maxQueue = options.maxQueue || 10000;
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 5;
+        this.retryBaseMs = options.retryBaseMs || 1000;
+        this.retryMaxMs = options.retryMaxMs || 60000;
+
+        this.queue = [];
+        this.timer = null;
+        this.current = null;
+        this.sending = 0;
+        this.closing = false;
+        this.wake = null;
+        this.stats = { forwarded: 0, failed: 0, dropped: 0, lastError: null };
+    }
+
+    accepts(entry) {
+        if (this.types && !this.types.includes(entry.type)) {
+            return false;
+        }
+        if (this.projects && !this.projects.includes(entry.project)) {
+            return false;
+        }
+        return this.minRank === -1 || severityRank(this.severityOf(entry)) >= this.minRank;
+    }
+
+    push(entry) {
+        if (!this.accepts(entry)) {
+            return;
+        }
+        this.queue.push(entry);
+        // Keep the newest entries when the destination has been down for a while
+        if (this.queue.length > this.maxQueue) {
+            this.queue.shift();
+            this.stats.dropped++;
+        }
+        this.schedule();
+    }
+
+    schedule() {
+        if (this.current || this.timer || this.queue.length === 0) {
+            return;
+        }
+        const wait = this.queue.length >= this.batchSize ? 0 : this.flushIntervalMs;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.drain();
+        }, wait);
+        this.timer.unref();
+    }
+
+    drain() {
+        if (!this.current && this.queue.length > 0) {
+            this.current = this.sendBatch(this.queue.splice(0, this.batchSize)).then(() => {
+                this.current = null;
+                this.schedule();
+            });
+        }
+        return this.current || Promise.resolve();
+    }
+
+    async sendBatch(batch) {
+        this.sending = batch.length;
+        try {
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    await this.sink.send(batch);
+                    this.stats.forwarded += batch.length;
+                    return;
+                } catch (error) {
+                    this.stats.lastError = error.message;
+                    // Batches get a single attempt once shutdown has started
+                    if (error.permanent || attempt >= this.maxRetries || this.closing) {
+                        this.stats.failed += batch.length;
+                        console.error(`Sink ${this.name} dropped ${batch.length} entries: ${error.message}`);
+                        return;
+                    }
+                    await this.pause(Math.min(this.retryMaxMs, this.retryBaseMs * 2 ** attempt));
+                }
+            }
+        } finally {
+            this.sending = 0;
+        }
+    }
+
+    // Waits before a retry; shutdown cuts the wait short
+    pause(ms) {
+        return new Promise(resolve => {
+            this.wake = resolve;
+            setTimeout(resolve, ms).unref();
+        }).then(() => {
+            this.wake = null;
+        });
+    }
+
+    // Delivers everything queued so far
+    async flush() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        while (this.queue.length > 0 || this.current) {
+            await this.drain();
+        }
+    }
+
+    // Gives what is queued one attempt each, without the retry schedule, for at most
+    // `timeoutMs`. Resolves with the number of entries that could not be delivered in
+    // time; they are counted as dropped.
+    async close(timeoutMs) {
+        this.closing = true;
+        if (this.wake) {
+            this.wake();
+        }
+
+        let timer;
+        const timedOut = new Promise(resolve => {
+            timer = setTimeout(() => resolve(true), timeoutMs);
+        });
+        const expired = await Promise.race([this.flush().then(() => false), timedOut]);
+        clearTimeout(timer);
+        if (!expired) {
+            return 0;
+        }
+
+        const dropped = this.queue.length + this.sending;
+        this.queue = [];
+        this.stats.dropped += dropped;
+        console.warn(`Sink ${this.name} dropped ${dropped} entries that could not be delivered before shutdown`);
+        return dropped;
+    }
+
+    status() {
+        return { name: this.name, kind: this.kind, queued: this.queue.length, ...this.stats };
+    }
+}
+
+function validateSink(config, index) {
+    const { name = `sink-${index + 1}`, kind, types, minSeverity, projects } = config || {};
+
+    if (!KINDS[kind]) {
+        throw new Error(`Sink "${name}" has invalid kind. Allowed kinds: ${Object.keys(KINDS).join(', ')}`);
+    }
+    if (types !== undefined && !Array.isArray(types)) {
+        throw new Error(`Sink "${name}": types must be an array of type names`);
+    }
+    if (projects !== undefined && !Array.isArray(projects)) {
+        throw new Error(`Sink "${name}": projects must be an array of project ids`);
+    }
+    if (minSeverity !== undefined && severityRank(minSeverity) === -1) {
+        throw new Error(`Sink "${name}": invalid minSeverity. Allowed levels: ${SEVERITY_LEVELS.join(', ')}`);
+    }
+    return { ...config, name };
+}
+
+// Fans stored entries out to the configured sinks. `types` is the TypeRegistry, used to
+// look up the severity of each entry's type.
+class SinkManager {
+    constructor({ sinks = [] } = {}, { types } = {}) {
+        const severityOf = entry => {
+            const type = types && types.get(entry.type);
+            return type ? type.severity : 'info';
+        };
+
+        const names = new Set();
+        this.runners = sinks.map((raw, index) => {
+            const config = validateSink(raw, index);
+            if (names.has(config.name)) {
+                throw new Error(`Duplicate sink name "${config.name}"`);
+            }
+            names.add(config.name);
+
+            const Sink = KINDS[config.kind]();
+            return new SinkRunner(new Sink(config, { severityOf }), config, severityOf);
+        });
+    }
+
+    forward(entry) {
+        for (const runner of this.runners) {
+            try {
+                runner.push(entry);
+            } catch (error) {
+                console.error(`Sink ${runner.name} could not queue an entry:`, error);
+            }
+        }
+    }
+
+    status() {
+        return this.runners.map(runner => runner.status());
+    }
+
+    async flush() {
+        await Promise.all(this.runners.map(runner => runner.flush()));
+    }
+
+    // Shutdown: delivers what is queued within `timeoutMs` and resolves with the number
+    // of entries that had to be dropped
+    async close({ timeoutMs = 5000 } = {}) {
+        const dropped = await Promise.all(this.runners.map(runner => runner.close(timeoutMs)));
+        await Promise.all(this.runners.map(runner => runner.sink.close()));
+        return dropped.reduce((sum, count) => sum + count, 0);
+    }
+}
+
+module.exports = { SinkManager, loadSinkConfig, KINDS };
@@ -0,0 +1,169 @@
+const dgram = require('dgram');
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+const { CONTEXT_FIELDS } = require('../logger');
+
+const FACILITIES = {
+    kern: 0, user: 1, mail: 2, daemon: 3, auth: 4, syslog: 5, lpr: 6, news: 7,
+    uucp: 8, cron: 9, authpriv: 10, ftp: 11,
+    local0: 16, local1: 17, local2: 18, local3: 19, local4: 20, local5: 21, local6: 22, local7: 23
+};
+
+// Nogger severities to syslog severity codes
+const SEVERITIES = { critical: 2, error: 3, warning: 4, info: 6, debug: 7 };
+
+const PROTOCOLS = ['udp', 'tcp', 'tls'];
+const BOM = '﻿';
+
+// Header fields are printable US-ASCII without spaces, "-" when empty (RFC 5424 6.2)
+function headerField(value, maxLength) {
+    const text = String(value || '').replace(/[^\x21-\x7e]/g, '').slice(0, maxLength);
+    return text || '-';
+}
+
+function paramValue(value) {
+    return String(value).replace(/[\\"\]]/g, match => `\\${match}`);
+}
+
+// Formats an entry as an RFC 5424 message: the entry id, project, type and context
+// fields go in structured data, the title, description and metadata in the message.
+function formatSyslog(entry, { facility, severity, hostname, appName, sdId }) {
+    const priority = facility * 8 + (SEVERITIES[severity] !== undefined ? SEVERITIES[severity] : 6);
+
+    const params = { id: entry.id, project: entry.project, type: entry.type };
+    for (const field of CONTEXT_FIELDS) {
+        if (entry[field]) {
+            params[field] = entry[field];
+        }
+    }
+    const structuredData = `[${sdId} ${Object.entries(params).map(([key, value]) => `${key}="${paramValue(value)}"`).join(' ')}]`;
+
+    let message = entry.title;
+    if (entry.description) {
+        message += ` - ${entry.description}`;
+    }
+    if (entry.metadata && Object.keys(entry.metadata).length > 0) {
+        message += ` ${JSON.stringify(entry.metadata)}`;
+    }
+
+    return [
+        `<${priority}>1`,
+        entry.timestamp,
+        headerField(hostname, 255),
+        headerField(appName, 48),
+        headerField(process.pid, 128),
+        headerField(entry.type, 32),
+        structuredData,
+        BOM + message
+    ].join(' ');
+}
+
+// Sends entries to a syslog server as RFC 5424 messages, one datagram each over UDP or
+// with octet-counting framing (RFC 6587) over TCP and TLS.
+class SyslogSink {
+    constructor(config, { severityOf }) {
+        const {
+            name,
+            host = '127.0.0.1',
+            port = 514,
+            protocol = 'udp',
+            facility = 'local0',
+            appName = 'nogger',
+            hostname = os.hostname(),
+            sdId = 'nogger@32473',
+            maxMessageBytes = protocol === 'udp' ? 2048 : 65536,
+            rejectUnauthorized = true
+        } = config;
+
+        if (!PROTOCOLS.includes(protocol)) {
+            throw new Error(`Sink "${name}": invalid protocol. Allowed protocols: ${PROTOCOLS.join(', ')}`);
+        }
+        const facilityCode = typeof facility === 'number' ? facility : FACILITIES[facility];
+        if (!Number.isInteger(facilityCode) || facilityCode < 0 || facilityCode > 23) {
+            throw new Error(`Sink "${name}": invalid facility. Use 0-23 or one of ${Object.keys(FACILITIES).join(', ')}`);
+        }
+
+        this.host = host;
+        this.port = port;
+        this.protocol = protocol;
+        this.maxMessageBytes = maxMessageBytes;
+        this.rejectUnauthorized = rejectUnauthorized;
+        this.severityOf = severityOf;
+        this.format = { facility: facilityCode, hostname, appName, sdId };
+        this.socket = null;
+    }
+
+    message(entry) {
+        const text = formatSyslog(entry, { ...this.format, severity: this.severityOf(entry) });
+        const data = Buffer.from(text);
+        return data.length > this.maxMessageBytes ? data.subarray(0, this.maxMessageBytes) : data;
+    }
+
+    async send(entries) {
+        const messages = entries.map(entry => this.message(entry));
+
+        if (this.protocol === 'udp') {
+            if (!this.socket) {
+                this.socket = dgram.createSocket(net.isIPv6(this.host) ? 'udp6' : 'udp4');
+                this.socket.on('error', () => this.close());
+                this.socket.unref();
+            }
+            for (const message of messages) {
+                await new Promise((resolve, reject) => {
+                    this.socket.send(message, this.port, this.host, error => (error ? reject(error) : resolve()));
+                });
+            }
+            return;
+        }
+
+        const socket = await this.connect();
+        const framed = Buffer.concat(messages.flatMap(message => [Buffer.from(`${message.length} `), message]));
+        await new Promise((resolve, reject) => {
+            socket.write(framed, error => (error ? reject(error) : resolve()));
+        });
+    }
+
+    // Opens the stream connection on first use and again after it dropped
+    connect() {
+        if (this.socket) {
+            return Promise.resolve(this.socket);
+        }
+        return new Promise((resolve, reject) => {
+            const options = { host: this.host, port: this.port, rejectUnauthorized: this.rejectUnauthorized };
+            const event = this.protocol === 'tls' ? 'secureConnect' : 'connect';
+            const socket = this.protocol === 'tls' ? tls.connect(options) : net.connect(options);
+
+            socket.once(event, () => {
+                this.socket = socket;
+                resolve(socket);
+            });
+            socket.on('error', error => {
+                socket.destroy();
+                reject(error);
+            });
+            socket.on('close', () => {
+                if (this.socket === socket) {
+                    this.socket = null;
+                }
+            });
+            socket.setKeepAlive(true);
+            socket.unref();
+        });
+    }
+
+    async close() {
+        const socket = this.socket;
+        this.socket = null;
+        if (!socket) {
+            return;
+        }
+        if (this.protocol === 'udp') {
+            socket.close();
+        } else {
+            socket.end();
+        }
+    }
+}
+
+module.exports = { SyslogSink, formatSyslog };
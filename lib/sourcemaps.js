@@ -0,0 +1,299 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64_VALUES = new Map([...BASE64].map((char, index) => [char, index]));
+const SEGMENT_FIELDS = 5;
+const KEY_PATTERN = /^[A-Za-z0-9._+-]{1,64}$/;
+
+// A stack frame as printed by Hermes (`at fn (address at index.android.bundle:1:9123)`),
+// V8 (`at fn (file.js:10:5)`) or JavaScriptCore (`fn@http://host/index.bundle?platform=ios:1:2`)
+const FRAME_PATTERN = /^\s*(?:at\s+)?(?:(.*?)\s*[@(]\s*)?(address at\s+)?(\S*?):(\d+):(\d+)\)?\s*$/;
+
+// Decodes the base64 VLQ `mappings` of a version 3 source map into one flat array per
+// generated line, holding [generatedColumn, source, line, column, name] per segment
+// (name is -1 when the segment has none). Values are relative to the previous segment.
+function decodeMappings(mappings) {
+    const lines = [];
+    const state = [0, 0, 0, 0, 0];
+    let line = [];
+    let segment = [];
+    let value = 0;
+    let shift = 0;
+
+    const endSegment = () => {
+        if (segment.length === 0) {
+            return;
+        }
+        state[0] += segment[0];
+        if (segment.length >= 4) {
+            state[1] += segment[1];
+            state[2] += segment[2];
+            state[3] += segment[3];
+            if (segment.length >= 5) {
+                state[4] += segment[4];
+            }
+            line.push(state[0], state[1], state[2], state[3], segment.length >= 5 ? state[4] : -1);
+        }
+        segment = [];
+    };
+
+    for (const char of mappings) {
+        if (char === ',' || char === ';') {
+            endSegment();
+            if (char === ';') {
+                lines.push(line);
+                line = [];
+                state[0] = 0;
+            }
+            continue;
+        }
+
+        const digit = BASE64_VALUES.get(char);
+        if (digit === undefined) {
+            throw new Error(`Invalid character "${char}" in source map mappings`);
+        }
+        value += (digit & 31) << shift;
+        if (digit & 32) {
+            shift += 5;
+            continue;
+        }
+        segment.push(value & 1 ? -(value >>> 1) : value >>> 1);
+        value = 0;
+        shift = 0;
+    }
+    endSegment();
+    lines.push(line);
+
+    return lines;
+}
+
+class SourceMap {
+    constructor(raw) {
+        if (!raw || typeof raw !== 'object' || raw.version !== 3) {
+            throw new Error('Only version 3 source maps are supported');
+        }
+        if (raw.sections) {
+            throw new Error('Indexed source maps (with "sections") are not supported');
+        }
+        if (typeof raw.mappings !== 'string' || !Array.isArray(raw.sources)) {
+            throw new Error('Source map needs "sources" and "mappings"');
+        }
+
+        const root = raw.sourceRoot ? raw.sourceRoot.replace(/\/?$/, '/') : '';
+        this.sources = raw.sources.map(source => root + source);
+        this.names = Array.isArray(raw.names) ? raw.names : [];
+        this.lines = decodeMappings(raw.mappings);
+    }
+
+    static parse(text) {
+        return new SourceMap(JSON.parse(text));
+    }
+
+    // `line` is 1-based and `column` 0-based, as in the source map spec. Returns the
+    // original position of the nearest segment at or before it, or null.
+    originalPositionFor(line, column) {
+        const segments = this.lines[line - 1];
+        if (!segments || segments.length === 0) {
+            return null;
+        }
+
+        let low = 0;
+        let high = segments.length / SEGMENT_FIELDS - 1;
+        let found = -1;
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            if (segments[middle * SEGMENT_FIELDS] <= column) {
+                found = middle;
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+        if (found === -1) {
+            return null;
+        }
+
+        const offset = found * SEGMENT_FIELDS;
+        const name = segments[offset + 4];
+        return {
+            file: this.sources[segments[offset + 1]] || null,
+            line: segments[offset + 2] + 1,
+            column: segments[offset + 3] + 1,
+            name: name >= 0 ? this.names[name] || null : null
+        };
+    }
+}
+
+function parseFrame(text) {
+    const match = text.match(FRAME_PATTERN);
+    if (!match) {
+        return null;
+    }
+    const [, fn, bytecode, file, line, column] = match;
+    return {
+        function: fn || null,
+        file,
+        line: Number(line),
+        column: Number(column),
+        // Hermes prints bytecode offsets, which its composed source maps use as is
+        bytecode: Boolean(bytecode)
+    };
+}
+
+function stackOf(entry) {
+    const metadata = entry.metadata || {};
+    const stack = metadata.stack || (metadata.error && metadata.error.stack);
+    return typeof stack === 'string' ? stack : null;
+}
+
+// The app version and platform a source map was uploaded for
+function releaseOf(entry) {
+    const metadata = entry.metadata || {};
+    const version = entry.appVersion || metadata.appVersion || metadata.version;
+    const platform = entry.platform || metadata.platform;
+    if (typeof version !== 'string' || typeof platform !== 'string') {
+        return null;
+    }
+    return { platform: platform.toLowerCase(), version };
+}
+
+// Source maps uploaded per project, app version and platform, stored as
+// `<logsDir>/<projectId>/sourcemaps/<platform>/<version>.map`. The most recently used
+// maps stay decoded in memory.
+class SourceMapStore {
+    constructor(stores, { cacheSize = 3 } = {}) {
+        this.stores = stores;
+        this.cacheSize = cacheSize;
+        this.cache = new Map();
+    }
+
+    static validKey(value) {
+        return typeof value === 'string' && KEY_PATTERN.test(value) && value !== '.' && value !== '..';
+    }
+
+    fileFor(projectId, platform, version) {
+        return path.join(this.stores.dirFor(projectId), 'sourcemaps', platform.toLowerCase(), `${version}.map`);
+    }
+
+    // Stores a map given as JSON text, parsed with SourceMap.parse unless already done
+    async save(projectId, platform, version, text, map = SourceMap.parse(text)) {
+        const file = this.fileFor(projectId, platform, version);
+
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, text);
+        this.remember(file, map);
+
+        return { platform: platform.toLowerCase(), version, sources: map.sources.length };
+    }
+
+    async remove(projectId, platform, version) {
+        const file = this.fileFor(projectId, platform, version);
+        this.cache.delete(file);
+        try {
+            await fs.unlink(file);
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    async list(projectId) {
+        const root = path.join(this.stores.dirFor(projectId), 'sourcemaps');
+        const maps = [];
+
+        let platforms;
+        try {
+            platforms = await fs.readdir(root);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return maps;
+            }
+            throw error;
+        }
+
+        for (const platform of platforms) {
+            for (const file of await fs.readdir(path.join(root, platform))) {
+                if (!file.endsWith('.map')) {
+                    continue;
+                }
+                const stat = await fs.stat(path.join(root, platform, file));
+                maps.push({
+                    platform,
+                    version: file.slice(0, -'.map'.length),
+                    size: stat.size,
+                    uploadedAt: stat.mtime.toISOString()
+                });
+            }
+        }
+
+        return maps.sort((a, b) => b.uploadedAt.localeCompare(a.uploadedAt));
+    }
+
+    async load(projectId, platform, version) {
+        const file = this.fileFor(projectId, platform, version);
+        if (this.cache.has(file)) {
+            const map = this.cache.get(file);
+            this.remember(file, map);
+            return map;
+        }
+
+        let text;
+        try {
+            text = await fs.readFile(file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+
+        const map = SourceMap.parse(text);
+        this.remember(file, map);
+        return map;
+    }
+
+    remember(file, map) {
+        this.cache.delete(file);
+        this.cache.set(file, map);
+        while (this.cache.size > this.cacheSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+    }
+
+    // Maps the stack trace of an entry back to the original sources. Resolves to
+    // `{ platform, version, frames }`, where each frame keeps its raw text and gains
+    // file, line, column and function when the map covers it, or to null when the entry
+    // has no stack trace or no map was uploaded for its release.
+    async symbolicate(entry) {
+        const stack = stackOf(entry);
+        const release = releaseOf(entry);
+        if (!stack || !release || !SourceMapStore.validKey(release.platform) || !SourceMapStore.validKey(release.version)) {
+            return null;
+        }
+
+        const map = await this.load(entry.project || 'default', release.platform, release.version);
+        if (!map) {
+            return null;
+        }
+
+        const frames = [];
+        for (const raw of stack.split('\n')) {
+            const frame = parseFrame(raw);
+            if (!frame) {
+                continue;
+            }
+            const position = map.originalPositionFor(frame.line, frame.bytecode ? frame.column : frame.column - 1);
+            frames.push(position && position.file
+                ? { raw: raw.trim(), function: position.name || frame.function, file: position.file, line: position.line, column: position.column }
+                : { raw: raw.trim() });
+        }
+
+        return frames.length > 0 ? { ...release, frames } : null;
+    }
+}
+
+module.exports = { SourceMapStore, SourceMap, decodeMappings, parseFrame };
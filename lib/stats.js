@@ -0,0 +1,123 @@
+const { getPath, matchesFilter } = require('./query');
+
+const INTERVALS = {
+    minute: 60 * 1000,
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000
+};
+const MAX_BUCKETS = 1500;
+const DEFAULT_WINDOW_MS = INTERVALS.day;
+
+// Picks a bucket size that gives a readable number of bars for the window
+function defaultInterval(windowMs) {
+    if (windowMs <= 3 * INTERVALS.hour) {
+        return 'minute';
+    }
+    if (windowMs <= 7 * INTERVALS.day) {
+        return 'hour';
+    }
+    return 'day';
+}
+
+function topCounts(counts, limit) {
+    return Array.from(counts.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit);
+}
+
+// Validates stats options on top of a parsed log filter. Returns `{ options }` or `{ error }`.
+function parseStatsOptions(filter, params = {}) {
+    const to = filter.to !== undefined ? filter.to : Date.now();
+    const from = filter.from !== undefined ? filter.from : to - DEFAULT_WINDOW_MS;
+    if (from >= to) {
+        return { error: 'from must be before to' };
+    }
+
+    const interval = params.interval || defaultInterval(to - from);
+    if (!INTERVALS[interval]) {
+        return { error: `Invalid interval. Allowed intervals: ${Object.keys(INTERVALS).join(', ')}` };
+    }
+    if ((to - from) / INTERVALS[interval] > MAX_BUCKETS) {
+        return { error: `Window too large for ${interval} buckets (max ${MAX_BUCKETS})` };
+    }
+
+    const top = Math.min(parseInt(params.top, 10) || 10, 100);
+    let metadataKey = params.metadataKey;
+    if (metadataKey && metadataKey.startsWith('metadata.')) {
+        metadataKey = metadataKey.slice('metadata.'.length);
+    }
+
+    return { options: { from, to, interval, top, metadataKey } };
+}
+
+// Aggregates entries (yielded newest first) into counts per type, a time series,
+// the most frequent titles and the most frequent values of one metadata key
+async function computeStats(entries, filter, { from, to, interval, top, metadataKey }) {
+    const bucketMs = INTERVALS[interval];
+    const firstBucket = Math.floor(from / bucketMs) * bucketMs;
+    const buckets = [];
+    for (let time = firstBucket; time <= to; time += bucketMs) {
+        buckets.push({ time: new Date(time).toISOString(), total: 0, byType: {} });
+    }
+
+    const countsByType = {};
+    const titles = new Map();
+    const metadataValues = new Map();
+    let total = 0;
+
+    const rangeFilter = { ...filter, from, to };
+
+    for await (const entry of entries) {
+        const time = Date.parse(entry.timestamp);
+        // Entries arrive newest first, so nothing further back can be in range
+        if (time < from) {
+            break;
+        }
+        if (!matchesFilter(entry, rangeFilter)) {
+            continue;
+        }
+
+        total++;
+        countsByType[entry.type] = (countsByType[entry.type] || 0) + 1;
+
+        const bucket = buckets[Math.floor((time - firstBucket) / bucketMs)];
+        if (bucket) {
+            bucket.total++;
+            bucket.byType[entry.type] = (bucket.byType[entry.type] || 0) + 1;
+        }
+
+        const titleKey = `${entry.type}\n${entry.title}`;
+        titles.set(titleKey, (titles.get(titleKey) || 0) + 1);
+
+        if (metadataKey) {
+            const value = getPath(entry.metadata || {}, metadataKey);
+            if (value !== undefined && value !== null) {
+                const valueKey = typeof value === 'object' ? JSON.stringify(value) : String(value);
+                metadataValues.set(valueKey, (metadataValues.get(valueKey) || 0) + 1);
+            }
+        }
+    }
+
+    return {
+        window: {
+            from: new Date(from).toISOString(),
+            to: new Date(to).toISOString(),
+            interval
+        },
+        total,
+        countsByType,
+        series: buckets,
+        topTitles: topCounts(titles, top).map(([key, count]) => {
+            const separator = key.indexOf('\n');
+            return { type: key.slice(0, separator), title: key.slice(separator + 1), count };
+        }),
+        topMetadataValues: metadataKey
+            ? {
+                key: `metadata.${metadataKey}`,
+                values: topCounts(metadataValues, top).map(([value, count]) => ({ value, count }))
+            }
+            : null
+    };
+}
+
+module.exports = { computeStats, parseStatsOptions, INTERVALS };
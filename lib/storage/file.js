@@ -0,0 +1,350 @@
+const fs = require('fs').promises;
+const { createReadStream, createWriteStream } = require('fs');
+const path = require('path');
+const readline = require('readline');
+const stream = require('stream');
+const util = require('util');
+const zlib = require('zlib');
+const { runQuery, matchesFilter } = require('../query');
+const { computeStats } = require('../stats');
+
+const pipeline = util.promisify(stream.pipeline);
+const gunzip = util.promisify(zlib.gunzip);
+const gzip = util.promisify(zlib.gzip);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// File storage adapter: an append-only newline-delimited JSON store. Every line is one
+// complete log entry, so entries can never bleed into each other whatever their text.
+//
+// The current file rolls over once a day or when it passes `maxSize` bytes. Rolled
+// segments are gzipped next to it as `<name>-<rotation time>.ndjson.gz` and pruned
+// once they are older than `retentionDays` or beyond the newest `maxSegments`. This is
+// also checked hourly, so a project that stops receiving events is pruned all the same.
+class FileLogStore {
+    constructor(dir, options = {}) {
+        const {
+            filename = 'events.ndjson',
+            maxSize = 10 * 1024 * 1024,
+            retentionDays = 14,
+            maxSegments = 30
+        } = options;
+
+        this.dir = dir;
+        this.file = path.join(dir, filename);
+        this.baseName = path.basename(filename, '.ndjson');
+        this.maxSize = maxSize;
+        this.retentionDays = retentionDays;
+        this.maxSegments = maxSegments;
+
+        this.size = 0;
+        this.segmentDay = currentDay();
+
+        // Appends, rotations and rewrites run one at a time in call order
+        this.queue = Promise.resolve();
+    }
+
+    async init() {
+        try {
+            const stat = await fs.stat(this.file);
+            this.size = stat.size;
+            this.segmentDay = currentDay(stat.mtime);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+
+        // Finish compressing segments left behind by a restart mid-rotation
+        const prefix = `${this.baseName}-`;
+        for (const file of await fs.readdir(this.dir)) {
+            if (file.startsWith(prefix) && file.endsWith('.ndjson')) {
+                await this.compress(path.join(this.dir, file));
+            }
+        }
+
+        await this.prune();
+        this.pruneTimer = setInterval(() => {
+            this.serialize(() => this.expire())
+                .catch(error => console.error(`Failed to prune logs in ${this.dir}:`, error));
+        }, PRUNE_INTERVAL_MS);
+        this.pruneTimer.unref();
+    }
+
+    // Rolls over a current file left from an earlier day (which prunes too), or prunes
+    async expire() {
+        if (this.size > 0 && this.segmentDay !== currentDay()) {
+            await this.rotate();
+        } else {
+            await this.prune();
+        }
+    }
+
+    serialize(task) {
+        const result = this.queue.then(task);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    append(entries) {
+        const list = Array.isArray(entries) ? entries : [entries];
+        if (list.length === 0) {
+            return Promise.resolve();
+        }
+
+        return this.serialize(async () => {
+            if (this.size > 0 && (this.size >= this.maxSize || this.segmentDay !== currentDay())) {
+                await this.rotate();
+            }
+
+            const data = list.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+            await fs.appendFile(this.file, data);
+            this.size += Buffer.byteLength(data);
+            this.segmentDay = currentDay();
+        });
+    }
+
+    // Flushes appended entries to disk
+    sync() {
+        return this.serialize(async () => {
+            const handle = await fs.open(this.file, 'a');
+            try {
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+        });
+    }
+
+    // Compresses the current file into a new segment and starts an empty one
+    async rotate() {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const rolled = path.join(this.dir, `${this.baseName}-${stamp}.ndjson`);
+
+        await fs.rename(this.file, rolled);
+        this.size = 0;
+        this.segmentDay = currentDay();
+
+        await this.compress(rolled);
+        await this.prune();
+    }
+
+    async compress(file) {
+        await pipeline(createReadStream(file), zlib.createGzip(), createWriteStream(`${file}.gz`));
+        await fs.unlink(file);
+    }
+
+    // Rotated segments, newest first
+    async segments() {
+        const prefix = `${this.baseName}-`;
+        const files = await fs.readdir(this.dir);
+        return files
+            .filter(file => file.startsWith(prefix) && file.endsWith('.ndjson.gz'))
+            .sort()
+            .reverse()
+            .map(file => path.join(this.dir, file));
+    }
+
+    async prune() {
+        const cutoff = Date.now() - this.retentionDays * DAY_MS;
+        const segments = await this.segments();
+
+        for (let i = 0; i < segments.length; i++) {
+            const rotatedAt = segmentTime(segments[i]);
+            if (i >= this.maxSegments || (rotatedAt && rotatedAt < cutoff)) {
+                await fs.unlink(segments[i]);
+            }
+        }
+    }
+
+    // Yields entries newest first, moving on to older segments only when needed
+    async *entries() {
+        const current = await readFileIfExists(this.file);
+        yield* parseLines(current).reverse();
+
+        for (const segment of await this.segments()) {
+            const data = await readSegment(segment);
+            if (data !== null) {
+                yield* parseLines(data).reverse();
+            }
+        }
+    }
+
+    // Streams matching entries oldest first, a line at a time, for exports of any size
+    async *scan(filter = {}) {
+        const segments = (await this.segments()).reverse();
+        const sources = segments.map(segment => ({ file: segment, rotatedAt: segmentTime(segment) }));
+        sources.push({ file: this.file });
+
+        for (const { file, rotatedAt } of sources) {
+            // A segment only holds entries written before it was rotated
+            if (filter.from !== undefined && rotatedAt && rotatedAt < filter.from) {
+                continue;
+            }
+
+            for await (const entry of streamEntries(file)) {
+                if (filter.to !== undefined && Date.parse(entry.timestamp) > filter.to) {
+                    return;
+                }
+                if (matchesFilter(entry, filter)) {
+                    yield entry;
+                }
+            }
+        }
+    }
+
+    // Returns one page of matching entries, newest first (see lib/query.js)
+    query(filter = {}) {
+        return runQuery(this.entries(), filter);
+    }
+
+    // Aggregated counts over a time window (see lib/stats.js)
+    stats(filter, options) {
+        return computeStats(this.entries(), filter, options);
+    }
+
+    // Removes the entries matching a filter and returns how many there were. With
+    // `dryRun` nothing is rewritten, so the count previews the deletion.
+    delete(filter = {}, { dryRun = false } = {}) {
+        return this.serialize(async () => {
+            const keep = entry => !matchesFilter(entry, filter);
+            let deleted = 0;
+
+            const current = parseLines(await readFileIfExists(this.file));
+            const kept = current.filter(keep);
+            deleted += current.length - kept.length;
+            if (!dryRun && kept.length < current.length) {
+                const data = kept.map(entry => JSON.stringify(entry) + '\n').join('');
+                await writeAtomic(this.file, data);
+                this.size = Buffer.byteLength(data);
+            }
+
+            for (const segment of await this.segments()) {
+                // A segment only holds entries written before it was rotated
+                const rotatedAt = segmentTime(segment);
+                if (filter.from !== undefined && rotatedAt && rotatedAt < filter.from) {
+                    continue;
+                }
+
+                const segmentData = await readSegment(segment);
+                if (segmentData === null) {
+                    continue;
+                }
+                const entries = parseLines(segmentData);
+                const segmentKept = entries.filter(keep);
+                deleted += entries.length - segmentKept.length;
+                if (dryRun || segmentKept.length === entries.length) {
+                    continue;
+                }
+                if (segmentKept.length === 0) {
+                    await fs.unlink(segment);
+                } else {
+                    await writeAtomic(segment, await gzip(segmentKept.map(entry => JSON.stringify(entry) + '\n').join('')));
+                }
+            }
+
+            return deleted;
+        });
+    }
+}
+
+function currentDay(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+// Recovers the rotation time from a segment name like `events-2024-01-31T23-59-59-999Z.ndjson.gz`
+function segmentTime(file) {
+    const match = path.basename(file).match(/(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.ndjson\.gz$/);
+    if (!match) {
+        return null;
+    }
+    const [, day, hours, minutes, seconds, millis] = match;
+    return new Date(`${day}T${hours}:${minutes}:${seconds}.${millis}Z`).getTime();
+}
+
+async function readFileIfExists(file) {
+    try {
+        return await fs.readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return '';
+        }
+        throw error;
+    }
+}
+
+async function readSegment(file) {
+    try {
+        return (await gunzip(await fs.readFile(file))).toString('utf8');
+    } catch (error) {
+        // Pruned in the meantime, or a segment cut short by a crash mid-compression
+        console.warn(`Skipping unreadable log segment ${path.basename(file)}`);
+        return null;
+    }
+}
+
+// Yields the entries of a plain or gzipped NDJSON file without reading it all into memory
+async function* streamEntries(file) {
+    const source = createReadStream(file);
+    const input = file.endsWith('.gz') ? source.pipe(zlib.createGunzip()) : source;
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    // pipe() does not forward errors and older readline versions swallow them, so end the
+    // iteration by hand
+    let streamError = null;
+    const onError = error => {
+        streamError = error;
+        lines.close();
+    };
+    source.on('error', onError);
+    input.on('error', onError);
+
+    try {
+        for await (const line of lines) {
+            if (!line.trim()) {
+                continue;
+            }
+            try {
+                yield JSON.parse(line);
+            } catch (error) {
+                console.warn('Skipping unreadable log line');
+            }
+        }
+    } catch (error) {
+        // Newer Node versions do reject the iteration instead
+        streamError = error;
+    } finally {
+        lines.close();
+        source.destroy();
+        input.destroy();
+    }
+
+    if (streamError && streamError.code !== 'ENOENT') {
+        console.warn(`Stopped reading ${path.basename(file)}: ${streamError.message}`);
+    }
+}
+
+async function writeAtomic(file, data) {
+    const tmpFile = `${file}.tmp`;
+    await fs.writeFile(tmpFile, data);
+    await fs.rename(tmpFile, file);
+}
+
+function parseLines(data) {
+    const entries = [];
+    for (const line of data.split('\n')) {
+        if (!line.trim()) {
+            continue;
+        }
+        try {
+            entries.push(JSON.parse(line));
+        } catch (error) {
+            // A torn write from a crash leaves at most one partial line; skip it
+            console.warn('Skipping unreadable log line');
+        }
+    }
+    return entries;
+}
+
+module.exports = { FileLogStore, parseLines };
@@ -0,0 +1,31 @@
+// Storage adapters. Each project gets its own adapter instance, created for its
+// directory, and every route reads and writes logs only through this interface:
+//
+//   init()                  prepare the storage
+//   append(entries)         store one entry or an array of entries
+//   sync()                  optional: flush appended entries to disk
+//   entries()               async iterable of every entry, newest first
+//   scan(filter)            async iterable of matching entries, oldest first (exports)
+//   query(filter)           one page of matching entries: { logs, nextCursor }
+//   stats(filter, options)  aggregated counts (see lib/stats.js)
+//   delete(filter, options) delete matching entries and resolve to how many there
+//                           were; with { dryRun: true } only count them
+//
+// Filters are the objects produced by parseLogQuery in lib/query.js.
+
+const ADAPTERS = {
+    file: () => require('./file').FileLogStore,
+    sqlite: () => require('./sqlite').SqliteLogStore
+};
+
+// Returns a function that creates an adapter for a project directory
+function createStoreFactory(name, options = {}) {
+    const load = ADAPTERS[name];
+    if (!load) {
+        throw new Error(`Unknown STORAGE_ADAPTER "${name}". Available adapters: ${Object.keys(ADAPTERS).join(', ')}`);
+    }
+    const Adapter = load();
+    return dir => new Adapter(dir, options);
+}
+
+module.exports = { createStoreFactory, ADAPTERS };
@@ -0,0 +1,236 @@
+const fs = require('fs');
+const path = require('path');
+const { runQuery, matchesFilter } = require('../query');
+const { CONTEXT_FIELDS } = require('../logger');
+const { computeStats } = require('../stats');
+const { FileLogStore } = require('./file');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAGE_SIZE = 500;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+function loadDriver() {
+    try {
+        return require('better-sqlite3');
+    } catch (error) {
+        throw new Error('STORAGE_ADAPTER=sqlite needs the better-sqlite3 package: npm install better-sqlite3');
+    }
+}
+
+// Must match the indexed expression exactly for SQLite to use the index
+function contextColumn(field) {
+    return `json_extract(data, '$.${field}')`;
+}
+
+// SQLite storage adapter: one `events.db` per project, with the full entry kept as JSON
+// next to indexed timestamp, type, title and fingerprint columns. Context fields such as
+// sessionId are indexed as expressions on the JSON, so older databases need no migration.
+// Indexed filters are applied in SQL; the remaining ones (search, metadata) reuse the
+// matching in lib/query.js so both adapters return exactly the same results.
+class SqliteLogStore {
+    constructor(dir, options = {}) {
+        const { filename = 'events.db', retentionDays = 14, fsync = 'interval' } = options;
+
+        this.dir = dir;
+        this.file = path.join(dir, filename);
+        this.retentionDays = retentionDays;
+        this.fsync = fsync;
+    }
+
+    async init() {
+        const Database = loadDriver();
+        this.db = new Database(this.file);
+        this.db.pragma('journal_mode = WAL');
+        // FULL syncs the WAL on every commit; NORMAL only at checkpoints (see sync())
+        this.db.pragma(`synchronous = ${this.fsync === 'always' ? 'FULL' : 'NORMAL'}`);
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS entries (
+                id TEXT PRIMARY KEY,
+                time_ms INTEGER NOT NULL,
+                type TEXT NOT NULL,
+                title TEXT NOT NULL,
+                fingerprint TEXT,
+                data TEXT NOT NULL
+            ) WITHOUT ROWID;
+            CREATE INDEX IF NOT EXISTS entries_time ON entries (time_ms);
+            CREATE INDEX IF NOT EXISTS entries_type_time ON entries (type, time_ms);
+            CREATE INDEX IF NOT EXISTS entries_title ON entries (title);
+            CREATE INDEX IF NOT EXISTS entries_fingerprint ON entries (fingerprint);
+        `);
+        for (const field of CONTEXT_FIELDS) {
+            this.db.exec(`CREATE INDEX IF NOT EXISTS entries_${field} ON entries (${contextColumn(field)}, id)`);
+        }
+
+        this.insert = this.db.prepare(`
+            INSERT OR IGNORE INTO entries (id, time_ms, type, title, fingerprint, data)
+            VALUES (@id, @time, @type, @title, @fingerprint, @data)
+        `);
+        this.insertMany = this.db.transaction(entries => {
+            for (const entry of entries) {
+                this.insert.run({
+                    id: entry.id,
+                    time: Date.parse(entry.timestamp) || 0,
+                    type: entry.type,
+                    title: entry.title,
+                    fingerprint: entry.fingerprint || null,
+                    data: JSON.stringify(entry)
+                });
+            }
+        });
+
+        await this.importFileStore();
+
+        this.prune();
+        this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+        this.pruneTimer.unref();
+    }
+
+    // Switching from the file adapter keeps history: an empty database picks up the
+    // NDJSON store in the same directory. The files themselves are left untouched.
+    async importFileStore() {
+        const empty = !this.db.prepare('SELECT 1 FROM entries LIMIT 1').get();
+        if (!empty || !fs.existsSync(path.join(this.dir, 'events.ndjson'))) {
+            return;
+        }
+
+        const fileStore = new FileLogStore(this.dir);
+        let batch = [];
+        let imported = 0;
+        for await (const entry of fileStore.scan()) {
+            batch.push(entry);
+            if (batch.length === PAGE_SIZE) {
+                this.insertMany(batch);
+                imported += batch.length;
+                batch = [];
+            }
+        }
+        this.insertMany(batch);
+        imported += batch.length;
+
+        if (imported > 0) {
+            console.log(`Imported ${imported} entries from ${path.join(this.dir, 'events.ndjson')} into SQLite`);
+        }
+    }
+
+    prune() {
+        const cutoff = Date.now() - this.retentionDays * DAY_MS;
+        this.db.prepare('DELETE FROM entries WHERE time_ms < ?').run(cutoff);
+    }
+
+    async append(entries) {
+        const list = Array.isArray(entries) ? entries : [entries];
+        this.insertMany(list);
+    }
+
+    // A checkpoint syncs the WAL and copies it into the database file
+    async sync() {
+        this.db.pragma('wal_checkpoint(PASSIVE)');
+    }
+
+    // Builds the SQL part of a filter; what SQL cannot express is checked by matchesFilter
+    where(filter = {}) {
+        const clauses = [];
+        const params = {};
+
+        if (filter.type) {
+            clauses.push('type = @type');
+            params.type = filter.type;
+        }
+        if (filter.fingerprint) {
+            clauses.push('fingerprint = @fingerprint');
+            params.fingerprint = filter.fingerprint;
+        }
+        if (filter.from !== undefined) {
+            clauses.push('time_ms >= @from');
+            params.from = filter.from;
+        }
+        if (filter.to !== undefined) {
+            clauses.push('time_ms <= @to');
+            params.to = filter.to;
+        }
+        for (const field of CONTEXT_FIELDS) {
+            if (filter[field]) {
+                clauses.push(`${contextColumn(field)} = @${field}`);
+                params[field] = filter[field];
+            }
+        }
+        if (filter.ids && filter.ids.length > 0) {
+            const names = filter.ids.map((id, index) => {
+                params[`id${index}`] = id;
+                return `@id${index}`;
+            });
+            clauses.push(`id IN (${names.join(', ')})`);
+        }
+
+        return { clauses, params };
+    }
+
+    // Reads matching rows a page at a time, so no statement stays open across a yield
+    async *rows(filter = {}, direction = 'DESC') {
+        const { clauses, params } = this.where(filter);
+        const comparison = direction === 'DESC' ? '<' : '>';
+        let after = direction === 'DESC' ? filter.cursor : undefined;
+
+        while (true) {
+            const pageClauses = after !== undefined ? [...clauses, `id ${comparison} @after`] : clauses;
+            const sql = `SELECT data FROM entries
+                ${pageClauses.length > 0 ? `WHERE ${pageClauses.join(' AND ')}` : ''}
+                ORDER BY id ${direction} LIMIT ${PAGE_SIZE}`;
+            const page = this.db.prepare(sql).all({ ...params, after });
+
+            for (const row of page) {
+                yield JSON.parse(row.data);
+            }
+            if (page.length < PAGE_SIZE) {
+                return;
+            }
+            after = JSON.parse(page[page.length - 1].data).id;
+        }
+    }
+
+    entries() {
+        return this.rows();
+    }
+
+    async *scan(filter = {}) {
+        for await (const entry of this.rows({ ...filter, cursor: undefined }, 'ASC')) {
+            if (matchesFilter(entry, filter)) {
+                yield entry;
+            }
+        }
+    }
+
+    query(filter = {}) {
+        return runQuery(this.rows(filter), filter);
+    }
+
+    stats(filter, options) {
+        return computeStats(this.rows({ ...filter, from: options.from, to: options.to, cursor: undefined }), filter, options);
+    }
+
+    async delete(filter = {}, { dryRun = false } = {}) {
+        const { clauses, params } = this.where(filter);
+        const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+
+        // Filters SQL can express fully are counted and deleted in one statement
+        if (!filter.search && !filter.title &&
+            Object.keys(filter.metadata || {}).length === 0 && (filter.exists || []).length === 0) {
+            if (dryRun) {
+                return this.db.prepare(`SELECT COUNT(*) AS count FROM entries ${where}`).get(params).count;
+            }
+            return this.db.prepare(`DELETE FROM entries ${where}`).run(params).changes;
+        }
+
+        const ids = [];
+        for await (const entry of this.scan(filter)) {
+            ids.push(entry.id);
+        }
+        if (!dryRun) {
+            const remove = this.db.prepare('DELETE FROM entries WHERE id = ?');
+            this.db.transaction(list => list.forEach(id => remove.run(id)))(ids);
+        }
+        return ids.length;
+    }
+}
+
+module.exports = { SqliteLogStore };
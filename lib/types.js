@@ -0,0 +1,150 @@
+const fs = require('fs');
+const Ajv = require('ajv');
+
+// Severity levels in increasing order of importance
+const SEVERITY_LEVELS = ['debug', 'info', 'warning', 'error', 'critical'];
+
+const DEFAULT_TYPES = [
+    { name: 'log', label: 'Info Logs', color: '#28a745', severity: 'info', aliases: ['info'] },
+    { name: 'error', label: 'Error Logs', color: '#dc3545', severity: 'error' },
+    { name: 'api-failed', label: 'API Failed', color: '#fd7e14', severity: 'warning' }
+];
+
+// Names that would collide with routes such as `POST /api/log/batch` or the `all` filter
+const RESERVED_NAMES = ['all', 'batch'];
+
+function severityRank(severity) {
+    return SEVERITY_LEVELS.indexOf(severity);
+}
+
+// Event types, loaded from a JSON file holding `{ "types": [...] }` and editable through
+// the admin API. Each type has a display label, a `#rrggbb` color, a severity level and
+// an optional JSON schema that the `metadata` of its events must satisfy.
+class TypeRegistry {
+    constructor(file) {
+        this.file = file;
+        this.ajv = new Ajv({ allErrors: true });
+        this.types = new Map();
+        this.validators = new Map();
+
+        let definitions = DEFAULT_TYPES;
+        if (file && fs.existsSync(file)) {
+            const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+            definitions = Array.isArray(parsed) ? parsed : parsed.types || [];
+        }
+        for (const definition of definitions) {
+            this.define(definition);
+        }
+    }
+
+    // Returns the normalized definition, throwing on invalid input
+    normalize(definition) {
+        const { name, label = name, color = '#6c757d', severity = 'info', aliases = [], metadataSchema } = definition || {};
+
+        if (!name || !/^[a-z0-9-]+$/.test(name)) {
+            throw new Error('Type name must use lowercase letters, numbers and "-"');
+        }
+        if (RESERVED_NAMES.includes(name)) {
+            throw new Error(`"${name}" is reserved and cannot be used as a type name`);
+        }
+        if (!/^#[0-9a-f]{6}$/i.test(color)) {
+            throw new Error('Type color must be a hex color like #28a745');
+        }
+        if (severityRank(severity) === -1) {
+            throw new Error(`Invalid severity. Allowed levels: ${SEVERITY_LEVELS.join(', ')}`);
+        }
+        if (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string')) {
+            throw new Error('Type aliases must be an array of strings');
+        }
+
+        const normalized = { name, label, color, severity, aliases };
+        if (metadataSchema !== undefined) {
+            normalized.metadataSchema = metadataSchema;
+        }
+        return normalized;
+    }
+
+    define(definition) {
+        const type = this.normalize(definition);
+
+        const existing = this.resolve(type.name);
+        if (existing && existing.name !== type.name) {
+            throw new Error(`"${type.name}" is already an alias of type "${existing.name}"`);
+        }
+        for (const alias of type.aliases) {
+            const owner = this.resolve(alias);
+            if (owner && owner.name !== type.name) {
+                throw new Error(`Alias "${alias}" is already used by type "${owner.name}"`);
+            }
+        }
+
+        let validator;
+        if (type.metadataSchema) {
+            try {
+                validator = this.ajv.compile(type.metadataSchema);
+            } catch (error) {
+                throw new Error(`Invalid metadataSchema for "${type.name}": ${error.message}`);
+            }
+        }
+
+        this.types.set(type.name, type);
+        if (validator) {
+            this.validators.set(type.name, validator);
+        } else {
+            this.validators.delete(type.name);
+        }
+        return type;
+    }
+
+    remove(name) {
+        this.validators.delete(name);
+        return this.types.delete(name);
+    }
+
+    has(name) {
+        return this.types.has(name);
+    }
+
+    get(name) {
+        return this.types.get(name);
+    }
+
+    // Looks a type up by name or alias, e.g. `info` for the `log` type
+    resolve(nameOrAlias) {
+        if (this.types.has(nameOrAlias)) {
+            return this.types.get(nameOrAlias);
+        }
+        return this.list().find(type => type.aliases.includes(nameOrAlias));
+    }
+
+    list() {
+        return Array.from(this.types.values());
+    }
+
+    names() {
+        return Array.from(this.types.keys());
+    }
+
+    // Returns an error message when metadata does not match the type's schema, or null
+    validateMetadata(name, metadata) {
+        const validator = this.validators.get(name);
+        if (!validator || validator(metadata)) {
+            return null;
+        }
+        const details = validator.errors
+            .map(error => `${error.instancePath || 'metadata'} ${error.message}`)
+            .join('; ');
+        return `Invalid metadata for type ${name}: ${details}`;
+    }
+
+    async save() {
+        if (!this.file) {
+            return;
+        }
+        const data = JSON.stringify({ types: this.list() }, null, 4) + '\n';
+        await fs.promises.writeFile(`${this.file}.tmp`, data);
+        await fs.promises.rename(`${this.file}.tmp`, this.file);
+    }
+}
+
+module.exports = { TypeRegistry, SEVERITY_LEVELS, severityRank };
@@ -0,0 +1,334 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { parseLines } = require('./storage/file');
+const { matchesFilter } = require('./query');
+
+const FSYNC_MODES = ['always', 'interval', 'off'];
+
+// Sits between the Logger and the storage adapters. Writes for a project go through one
+// queue: entries that arrive while a write is in progress are committed together in the
+// next one (group commit), so concurrent requests share a single append and fsync.
+//
+// When storage fails, the group is appended to a spool file (`<spoolDir>/<project>.ndjson`,
+// fsynced) instead and the write still succeeds. Spooled entries are replayed into
+// storage with exponential backoff, and later entries queue up behind them in the spool
+// so nothing is stored out of order. Spools left by a crash are replayed on startup.
+//
+// fsync modes: `always` syncs after every group commit, `interval` every
+// `fsyncIntervalMs`, `off` leaves it to the operating system.
+class WriteBuffer {
+    constructor(stores, options = {}) {
+        const {
+            spoolDir,
+            fsync = 'interval',
+            fsyncIntervalMs = 1000,
+            maxBatch = 500,
+            retryBaseMs = 1000,
+            retryMaxMs = 60000
+        } = options;
+
+        if (!FSYNC_MODES.includes(fsync)) {
+            throw new Error(`Invalid fsync mode "${fsync}". Allowed modes: ${FSYNC_MODES.join(', ')}`);
+        }
+
+        this.stores = stores;
+        this.spoolDir = spoolDir;
+        this.fsync = fsync;
+        this.maxBatch = maxBatch;
+        this.retryBaseMs = retryBaseMs;
+        this.retryMaxMs = retryMaxMs;
+        this.projects = new Map();
+        this.closed = false;
+
+        this.syncTimer = null;
+        if (fsync === 'interval') {
+            this.syncTimer = setInterval(() => this.syncAll(), fsyncIntervalMs);
+            this.syncTimer.unref();
+        }
+    }
+
+    stateFor(projectId) {
+        if (!this.projects.has(projectId)) {
+            this.projects.set(projectId, {
+                pending: [],
+                chain: Promise.resolve(),
+                spooled: 0,
+                attempts: 0,
+                retryTimer: null,
+                dirty: false,
+                lastError: null
+            });
+        }
+        return this.projects.get(projectId);
+    }
+
+    spoolFile(projectId) {
+        return path.join(this.spoolDir, `${projectId}.ndjson`);
+    }
+
+    // Runs commits, replays and syncs for a project one at a time in call order
+    enqueue(state, task) {
+        const result = state.chain.then(task);
+        state.chain = result.catch(() => {});
+        return result;
+    }
+
+    // Resolves with `{ spooled }` once the entry is in storage, or in the spool when
+    // storage failed. Rejects only when neither could be written.
+    write(projectId, entry) {
+        const state = this.stateFor(projectId);
+        return new Promise((resolve, reject) => {
+            state.pending.push({ entry, resolve, reject });
+            // The first entry of a group schedules its commit; the rest join it until it runs
+            if (state.pending.length === 1) {
+                this.enqueue(state, () => this.commit(projectId, state));
+            }
+        });
+    }
+
+    async commit(projectId, state) {
+        const group = state.pending.splice(0, this.maxBatch);
+        if (state.pending.length > 0) {
+            this.enqueue(state, () => this.commit(projectId, state));
+        }
+
+        try {
+            const spooled = await this.persist(projectId, state, group.map(item => item.entry));
+            group.forEach(item => item.resolve({ spooled }));
+        } catch (error) {
+            group.forEach(item => item.reject(error));
+        }
+    }
+
+    async persist(projectId, state, entries) {
+        if (state.spooled === 0) {
+            try {
+                const store = await this.stores.get(projectId);
+                await store.append(entries);
+                if (this.fsync === 'always') {
+                    await syncStore(store);
+                } else {
+                    state.dirty = true;
+                }
+                return false;
+            } catch (error) {
+                console.error(`Failed to store ${entries.length} entries for ${projectId}, spooling them:`, error);
+                state.lastError = error.message;
+            }
+        }
+
+        await this.spool(projectId, entries);
+        state.spooled += entries.length;
+        this.scheduleRetry(projectId, state);
+        return true;
+    }
+
+    async spool(projectId, entries) {
+        await fs.mkdir(this.spoolDir, { recursive: true });
+        const handle = await fs.open(this.spoolFile(projectId), 'a');
+        try {
+            await handle.appendFile(entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+    }
+
+    scheduleRetry(projectId, state) {
+        if (state.retryTimer || this.closed) {
+            return;
+        }
+        const wait = Math.min(this.retryMaxMs, this.retryBaseMs * 2 ** state.attempts);
+        state.retryTimer = setTimeout(() => {
+            state.retryTimer = null;
+            this.enqueue(state, () => this.replay(projectId, state));
+        }, wait);
+        state.retryTimer.unref();
+    }
+
+    // Moves spooled entries into storage a chunk at a time. After each chunk the spool is
+    // cut down to what is left (a temp file renamed over it), so a replay interrupted by a
+    // crash resumes after the last stored chunk. A crash between storing a chunk and
+    // cutting the spool is covered too: nothing else is stored while a project has
+    // spooled entries, so those no newer than the store's newest entry are already in it.
+    async replay(projectId, state) {
+        const file = this.spoolFile(projectId);
+        let data;
+        try {
+            data = await fs.readFile(file, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            data = '';
+        }
+
+        let entries = parseLines(data);
+        let replayed = 0;
+        try {
+            const store = await this.stores.get(projectId);
+            const newest = await newestId(store);
+            while (entries.length > 0) {
+                const chunk = entries.slice(0, this.maxBatch).filter(entry => !newest || entry.id > newest);
+                if (chunk.length > 0) {
+                    await store.append(chunk);
+                    await syncStore(store);
+                    replayed += chunk.length;
+                }
+                entries = entries.slice(this.maxBatch);
+                await rewriteSpool(file, entries);
+                state.spooled = entries.length;
+            }
+            await fs.unlink(file).catch(() => {});
+            if (replayed > 0) {
+                console.log(`Replayed ${replayed} spooled entries for ${projectId}`);
+            }
+            state.spooled = 0;
+            state.attempts = 0;
+            state.lastError = null;
+        } catch (error) {
+            state.attempts++;
+            state.lastError = error.message;
+            console.error(`Spooled entries for ${projectId} could not be stored yet:`, error.message);
+            this.scheduleRetry(projectId, state);
+        }
+    }
+
+    async readSpool(projectId) {
+        try {
+            return parseLines(await fs.readFile(this.spoolFile(projectId), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    // Removes the spooled entries of a project that match a filter (see lib/query.js)
+    // and resolves with them; with `dryRun` they are only returned. Entries still
+    // queued are committed or spooled first, so they are covered too. Deleting here
+    // before deleting from storage means a replay cannot move a match past both.
+    async deleteSpooled(projectId, filter, { dryRun = false } = {}) {
+        await this.flush();
+        const state = this.stateFor(projectId);
+        return this.enqueue(state, async () => {
+            const entries = await this.readSpool(projectId);
+            const matched = entries.filter(entry => matchesFilter(entry, filter));
+            if (!dryRun && matched.length > 0) {
+                const kept = entries.filter(entry => !matchesFilter(entry, filter));
+                await rewriteSpool(this.spoolFile(projectId), kept);
+                state.spooled = kept.length;
+            }
+            return matched;
+        });
+    }
+
+    // Picks up spool files left behind by a previous run and replays them
+    async recover() {
+        let files;
+        try {
+            files = await fs.readdir(this.spoolDir);
+        } catch (error) {
+            return 0;
+        }
+
+        let total = 0;
+        for (const file of files.filter(name => name.endsWith('.ndjson'))) {
+            const projectId = path.basename(file, '.ndjson');
+            const state = this.stateFor(projectId);
+            const count = parseLines(await fs.readFile(path.join(this.spoolDir, file), 'utf8')).length;
+            state.spooled += count;
+            total += count;
+            await this.enqueue(state, () => this.replay(projectId, state));
+        }
+        return total;
+    }
+
+    syncAll() {
+        for (const [projectId, state] of this.projects) {
+            if (!state.dirty) {
+                continue;
+            }
+            state.dirty = false;
+            this.enqueue(state, async () => syncStore(await this.stores.get(projectId)))
+                .catch(error => console.error(`Failed to sync logs for ${projectId}:`, error));
+        }
+    }
+
+    // Resolves once every entry written so far has been committed or spooled
+    async flush() {
+        for (;;) {
+            const states = Array.from(this.projects.values());
+            const chains = states.map(state => state.chain);
+            await Promise.all(chains);
+            if (states.every((state, index) => state.chain === chains[index] && state.pending.length === 0) &&
+                states.length === this.projects.size) {
+                return;
+            }
+        }
+    }
+
+    // Drains the queue for shutdown and makes a last attempt at the spool. Whatever is
+    // still spooled afterwards is replayed on the next start.
+    async close() {
+        this.closed = true;
+        clearInterval(this.syncTimer);
+        for (const state of this.projects.values()) {
+            clearTimeout(state.retryTimer);
+            state.retryTimer = null;
+        }
+
+        await this.flush();
+        for (const [projectId, state] of this.projects) {
+            if (state.spooled > 0) {
+                await this.enqueue(state, () => this.replay(projectId, state));
+            }
+        }
+        this.syncAll();
+        await this.flush();
+    }
+
+    status() {
+        const states = Array.from(this.projects.values());
+        const failing = states.find(state => state.lastError);
+        return {
+            fsync: this.fsync,
+            pending: states.reduce((sum, state) => sum + state.pending.length, 0),
+            spooled: states.reduce((sum, state) => sum + state.spooled, 0),
+            lastError: failing ? failing.lastError : null
+        };
+    }
+}
+
+async function newestId(store) {
+    for await (const entry of store.entries()) {
+        return entry.id;
+    }
+    return null;
+}
+
+// Replaces the spool with the entries still to replay, or removes it when none are left
+async function rewriteSpool(file, entries) {
+    if (entries.length === 0) {
+        await fs.unlink(file).catch(() => {});
+        return;
+    }
+    const temp = `${file}.tmp`;
+    const handle = await fs.open(temp, 'w');
+    try {
+        await handle.writeFile(entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    await fs.rename(temp, file);
+}
+
+async function syncStore(store) {
+    if (typeof store.sync === 'function') {
+        await store.sync();
+    }
+}
+
+module.exports = { WriteBuffer, FSYNC_MODES };
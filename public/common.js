@@ -0,0 +1,112 @@
+// Shared by the static dashboard pages: API access with the key from the page URL,
+// DOM helpers that only ever set text, and times in the viewer's timezone.
+
+const apiKey = new URL(window.location).searchParams.get('key');
+const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+const relativeFormat = new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' });
+const absoluteFormat = new Intl.DateTimeFormat(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    timeZoneName: 'short'
+});
+
+function apiFetch(url, options = {}) {
+    const headers = Object.assign({}, options.headers, apiKey ? { 'X-API-Key': apiKey } : {});
+    return fetch(url, Object.assign({}, options, { headers }));
+}
+
+// Link to another dashboard page, carrying the API key along
+function pageHref(path, params = {}) {
+    const search = new URLSearchParams(params);
+    if (apiKey) {
+        search.set('key', apiKey);
+    }
+    const query = search.toString();
+    return query ? path + '?' + query : path;
+}
+
+function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) {
+        node.className = className;
+    }
+    if (text !== undefined && text !== null) {
+        node.textContent = String(text);
+    }
+    return node;
+}
+
+function typeBadge(type) {
+    return el('span', 'log-type ' + type, type);
+}
+
+// Symbolicated stack trace: the original location of each frame the source map covers,
+// the raw frame otherwise
+function stackBlock(symbolicated) {
+    const stack = el('div', 'log-stack');
+    stack.appendChild(el('strong', null, 'Stack trace (' + symbolicated.platform + ' ' + symbolicated.version + '):'));
+    symbolicated.frames.forEach(frame => {
+        stack.appendChild(el('div', frame.file ? 'frame' : 'frame unmapped', frame.file
+            ? (frame.function || '<anonymous>') + ' (' + frame.file + ':' + frame.line + ':' + frame.column + ')'
+            : frame.raw));
+    });
+    return stack;
+}
+
+function showError(message) {
+    const banner = document.getElementById('pageError');
+    banner.textContent = message || '';
+    banner.hidden = !message;
+}
+
+function relativeTime(iso) {
+    const seconds = Math.round((Date.parse(iso) - Date.now()) / 1000);
+    const units = [['year', 31536000], ['month', 2592000], ['week', 604800], ['day', 86400], ['hour', 3600], ['minute', 60]];
+    for (const [unit, size] of units) {
+        if (Math.abs(seconds) >= size) {
+            return relativeFormat.format(Math.round(seconds / size), unit);
+        }
+    }
+    return relativeFormat.format(seconds, 'second');
+}
+
+function absoluteTime(iso) {
+    return absoluteFormat.format(new Date(iso));
+}
+
+function timeElement(iso, className) {
+    const time = el('time', className, relativeTime(iso));
+    time.dateTime = iso;
+    time.title = absoluteTime(iso);
+    return time;
+}
+
+function refreshTimes() {
+    document.querySelectorAll('time[datetime]').forEach(time => {
+        time.textContent = relativeTime(time.dateTime);
+    });
+}
+
+async function loadProject() {
+    const result = await (await apiFetch('/api/project')).json();
+    if (result.success && result.project.name) {
+        document.getElementById('projectName').textContent = ' · ' + result.project.name;
+    }
+}
+
+// Tab links, header and timezone note, and relative times kept fresh
+function initPage() {
+    document.querySelectorAll('.tab[data-path]').forEach(tab => {
+        tab.href = pageHref(tab.dataset.path);
+    });
+    const zone = document.getElementById('timeZone');
+    if (zone) {
+        zone.textContent = timeZone;
+    }
+    loadProject().catch(error => console.error('Failed to load project', error));
+    setInterval(refreshTimes, 30000);
+}
@@ -0,0 +1,157 @@
+// Endpoints page: failed API requests grouped by route template, from /api/endpoints
+
+const WINDOWS = [1, 24, 168, 720];
+const DEFAULT_WINDOW = 24;
+
+const state = {
+    hours: DEFAULT_WINDOW,
+    sort: 'failures'
+};
+
+// Options as they appear in the page URL: /logs/endpoints?hours=168&sort=p95
+function readOptions() {
+    const params = new URL(window.location).searchParams;
+    const hours = parseInt(params.get('hours'), 10);
+    state.hours = WINDOWS.includes(hours) ? hours : DEFAULT_WINDOW;
+    state.sort = params.get('sort') || 'failures';
+
+    document.getElementById('windowSelect').value = String(state.hours);
+    document.getElementById('sortSelect').value = state.sort;
+}
+
+function writeOptions() {
+    const url = new URL(window.location);
+    url.searchParams.set('hours', String(state.hours));
+    url.searchParams.set('sort', state.sort);
+    if (url.toString() !== window.location.href) {
+        history.pushState(null, '', url.toString());
+    }
+}
+
+function formatDuration(ms) {
+    if (ms === null) {
+        return '–';
+    }
+    return ms >= 1000 ? (ms / 1000).toFixed(1) + ' s' : Math.round(ms) + ' ms';
+}
+
+// 5xx red, 4xx orange, network failures and unknown grey
+function statusClass(status) {
+    if (status.startsWith('5')) {
+        return 'status-chip server';
+    }
+    if (status.startsWith('4')) {
+        return 'status-chip client';
+    }
+    return 'status-chip';
+}
+
+function statusChips(statusCodes) {
+    const cell = el('td', 'status-codes');
+    Object.keys(statusCodes)
+        .sort((a, b) => statusCodes[b] - statusCodes[a])
+        .forEach(status => {
+            cell.appendChild(el('span', statusClass(status), status + ' × ' + statusCodes[status]));
+        });
+    return cell;
+}
+
+function summaryCard(value, label) {
+    const card = el('div', 'stat-card');
+    card.append(el('div', 'stat-number', value), el('div', 'stat-label', label));
+    return card;
+}
+
+function endpointRow(endpoint) {
+    const row = el('tr');
+
+    const name = el('td', 'endpoint-name');
+    if (endpoint.method) {
+        name.appendChild(el('span', 'endpoint-method', endpoint.method));
+    }
+    name.appendChild(el('code', null, (endpoint.host || '') + endpoint.route));
+    if (endpoint.examples.length > 0) {
+        name.appendChild(el('div', 'endpoint-examples', 'e.g. ' + endpoint.examples.join(', ')));
+    }
+
+    const lastSeen = el('td');
+    lastSeen.appendChild(timeElement(endpoint.lastSeen, 'log-timestamp'));
+
+    row.append(
+        name,
+        el('td', 'numeric', endpoint.failures),
+        statusChips(endpoint.statusCodes),
+        el('td', 'numeric', formatDuration(endpoint.duration.p50)),
+        el('td', 'numeric', formatDuration(endpoint.duration.p95)),
+        lastSeen
+    );
+    return row;
+}
+
+function render(result) {
+    const summary = document.getElementById('summary');
+    summary.textContent = '';
+    const serverErrors = Object.keys(result.statusCodes)
+        .filter(status => status.startsWith('5'))
+        .reduce((sum, status) => sum + result.statusCodes[status], 0);
+    summary.append(
+        summaryCard(result.total, 'Failed requests'),
+        summaryCard(result.endpoints.length, 'Endpoints'),
+        summaryCard(serverErrors, 'Server errors (5xx)'),
+        summaryCard(result.withoutUrl, 'Without a URL')
+    );
+
+    const rows = document.getElementById('endpointRows');
+    rows.textContent = '';
+    if (result.endpoints.length === 0) {
+        const empty = el('td', 'empty-state', 'No failed requests in this window');
+        empty.colSpan = 6;
+        const row = el('tr');
+        row.appendChild(empty);
+        rows.appendChild(row);
+        return;
+    }
+    result.endpoints.forEach(endpoint => rows.appendChild(endpointRow(endpoint)));
+}
+
+async function loadEndpoints() {
+    const url = new URL('/api/endpoints', window.location.origin);
+    url.searchParams.set('from', String(Date.now() - state.hours * 60 * 60 * 1000));
+    url.searchParams.set('sort', state.sort);
+    url.searchParams.set('limit', '200');
+    try {
+        const result = await (await apiFetch(url)).json();
+        if (!result.success) {
+            showError('Failed to load endpoints: ' + result.error);
+            return;
+        }
+        showError(null);
+        render(result);
+    } catch (error) {
+        showError('Error loading endpoints: ' + error.message);
+    }
+}
+
+function onOptionsChange() {
+    state.hours = parseInt(document.getElementById('windowSelect').value, 10);
+    state.sort = document.getElementById('sortSelect').value;
+    writeOptions();
+    loadEndpoints();
+}
+
+function init() {
+    initPage();
+    document.getElementById('windowSelect').addEventListener('change', onOptionsChange);
+    document.getElementById('sortSelect').addEventListener('change', onOptionsChange);
+    document.getElementById('refreshBtn').addEventListener('click', loadEndpoints);
+    window.addEventListener('popstate', () => {
+        readOptions();
+        loadEndpoints();
+    });
+
+    readOptions();
+    loadEndpoints();
+    setInterval(loadEndpoints, 60000);
+}
+
+init();
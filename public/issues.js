@@ -0,0 +1,140 @@
+// Issues page: entries grouped by fingerprint, from /api/issues
+
+const STATUSES = ['unresolved', 'resolved', 'ignored', 'all'];
+const ACTIONS = [
+    { status: 'resolved', label: '✅ Resolve' },
+    { status: 'ignored', label: '🙈 Ignore' },
+    { status: 'unresolved', label: '↩️ Reopen' }
+];
+
+const state = {
+    status: 'unresolved'
+};
+
+// The status filter as it appears in the page URL: /logs/issues?status=resolved
+function readStatus() {
+    const status = new URL(window.location).searchParams.get('status');
+    state.status = STATUSES.includes(status) ? status : 'unresolved';
+    document.getElementById('issueStatus').value = state.status;
+}
+
+function writeStatus() {
+    const url = new URL(window.location);
+    url.searchParams.set('status', state.status);
+    if (url.toString() !== window.location.href) {
+        history.pushState(null, '', url.toString());
+    }
+}
+
+function emptyState() {
+    const empty = el('div', 'empty-state');
+    empty.append(
+        el('div', 'empty-icon', '🐞'),
+        el('h3', null, 'No issues found'),
+        el('p', null, 'Errors and API failures are grouped here as they come in')
+    );
+    return empty;
+}
+
+function issueCard(issue) {
+    const card = el('div', 'log-entry ' + issue.type);
+
+    const header = el('div', 'log-header');
+    header.append(typeBadge(issue.type), el('span', 'issue-status ' + issue.status, issue.status));
+    card.append(header, el('div', 'log-title', issue.title));
+    if (issue.description) {
+        card.appendChild(el('div', 'log-description', issue.description));
+    }
+
+    const meta = el('div', 'issue-meta');
+    const firstSeen = el('span', null, 'First seen ');
+    firstSeen.appendChild(timeElement(issue.firstSeen));
+    const lastSeen = el('span', null, 'Last seen ');
+    lastSeen.appendChild(timeElement(issue.lastSeen));
+    meta.append(
+        el('span', 'issue-count', issue.count + ' events'),
+        firstSeen,
+        lastSeen,
+        el('span', null, Object.keys(issue.userAgents || {}).length + ' user agents')
+    );
+    if (issue.regressions) {
+        meta.appendChild(el('span', null, 'Reopened ' + issue.regressions + '×'));
+    }
+    card.appendChild(meta);
+
+    const actions = el('div', 'issue-actions');
+    ACTIONS.filter(action => action.status !== issue.status).forEach(action => {
+        const button = el('button', null, action.label);
+        button.addEventListener('click', () => setIssueStatus(issue.id, action.status));
+        actions.appendChild(button);
+    });
+    const events = el('a', null, 'View events →');
+    events.href = pageHref('/logs', { fingerprint: issue.id });
+    actions.appendChild(events);
+    card.appendChild(actions);
+
+    return card;
+}
+
+async function loadIssues() {
+    const url = new URL('/api/issues', window.location.origin);
+    if (state.status !== 'all') {
+        url.searchParams.set('status', state.status);
+    }
+    url.searchParams.set('limit', '200');
+    try {
+        const result = await (await apiFetch(url)).json();
+        if (!result.success) {
+            showError('Failed to load issues: ' + result.error);
+            return;
+        }
+        showError(null);
+
+        const list = document.getElementById('issueList');
+        list.textContent = '';
+        if (result.issues.length === 0) {
+            list.appendChild(emptyState());
+            return;
+        }
+        result.issues.forEach(issue => list.appendChild(issueCard(issue)));
+    } catch (error) {
+        showError('Error loading issues: ' + error.message);
+    }
+}
+
+async function setIssueStatus(id, status) {
+    try {
+        const response = await apiFetch('/api/issues/' + encodeURIComponent(id), {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ status: status })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            showError('Failed to update issue: ' + result.error);
+            return;
+        }
+        loadIssues();
+    } catch (error) {
+        showError('Error updating issue: ' + error.message);
+    }
+}
+
+function init() {
+    initPage();
+    document.getElementById('issueStatus').addEventListener('change', event => {
+        state.status = event.target.value;
+        writeStatus();
+        loadIssues();
+    });
+    document.getElementById('refreshBtn').addEventListener('click', loadIssues);
+    window.addEventListener('popstate', () => {
+        readStatus();
+        loadIssues();
+    });
+
+    readStatus();
+    loadIssues();
+}
+
+init();
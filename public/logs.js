@@ -0,0 +1,716 @@
+// Logs page. The HTML is static: entries, types and the project name all come from the
+// JSON API and only ever reach the page as text nodes, never as markup (see common.js).
+
+const LIMITS = [25, 50, 100, 200];
+const DEFAULT_LIMIT = 50;
+const RELEASE_WINDOW_DAYS = 30;
+
+const state = {
+    type: 'all',
+    limit: DEFAULT_LIMIT,
+    fingerprint: null,
+    appVersion: null,
+    releases: [],
+    logs: [],
+    selectedId: null,
+    typeLabels: {}
+};
+
+// Filters as they appear in the page URL: /logs?type=error&limit=100&appVersion=...
+function readFilters() {
+    const params = new URL(window.location).searchParams;
+    const limit = parseInt(params.get('limit'), 10);
+    state.type = params.get('type') || 'all';
+    state.limit = LIMITS.includes(limit) ? limit : DEFAULT_LIMIT;
+    state.fingerprint = params.get('fingerprint');
+    state.appVersion = params.get('appVersion');
+
+    document.getElementById('logType').value = state.type;
+    renderReleaseOptions();
+    document.getElementById('limitSelect').value = String(state.limit);
+    document.getElementById('fingerprintFilter').hidden = !state.fingerprint;
+    document.getElementById('fingerprintValue').textContent = state.fingerprint || '';
+}
+
+function writeFilters() {
+    const url = new URL(window.location);
+    url.searchParams.set('type', state.type);
+    url.searchParams.set('limit', String(state.limit));
+    for (const key of ['fingerprint', 'appVersion']) {
+        if (state[key]) {
+            url.searchParams.set(key, state[key]);
+        } else {
+            url.searchParams.delete(key);
+        }
+    }
+    if (url.toString() !== window.location.href) {
+        history.pushState(null, '', url.toString());
+    }
+}
+
+// The current type, issue and release filters on an API URL
+function applyFilters(url) {
+    if (state.type !== 'all') {
+        url.searchParams.set('type', state.type);
+    }
+    if (state.fingerprint) {
+        url.searchParams.set('fingerprint', state.fingerprint);
+    }
+    if (state.appVersion) {
+        url.searchParams.set('appVersion', state.appVersion);
+    }
+    return url;
+}
+
+// Entry list
+
+function listItem(log) {
+    const item = el('li', 'log-entry log-row ' + log.type);
+    item.id = 'entry-' + log.id;
+    item.dataset.id = log.id;
+    item.setAttribute('role', 'option');
+    item.setAttribute('aria-selected', String(log.id === state.selectedId));
+    if (log.id === state.selectedId) {
+        item.classList.add('selected');
+    }
+    item.append(typeBadge(log.type), el('span', 'log-row-title', log.title), timeElement(log.timestamp, 'log-timestamp'));
+    item.addEventListener('click', () => select(log.id));
+    return item;
+}
+
+function emptyState() {
+    const empty = el('li', 'empty-state');
+    empty.append(
+        el('div', 'empty-icon', '📝'),
+        el('h3', null, 'No logs found'),
+        el('p', null, 'Logs will appear here when your React Native app sends events')
+    );
+    return empty;
+}
+
+function renderList() {
+    const list = document.getElementById('logList');
+    list.textContent = '';
+    if (state.logs.length === 0) {
+        list.appendChild(emptyState());
+        return;
+    }
+    state.logs.forEach(log => list.appendChild(listItem(log)));
+}
+
+function showEntry(log) {
+    const list = document.getElementById('logList');
+    const empty = list.querySelector('.empty-state');
+    if (empty) {
+        empty.remove();
+    }
+
+    state.logs.unshift(log);
+    const item = listItem(log);
+    item.classList.add('fresh');
+    list.prepend(item);
+
+    while (state.logs.length > state.limit) {
+        const removed = state.logs.pop();
+        const row = document.getElementById('entry-' + removed.id);
+        if (row) {
+            row.remove();
+        }
+        if (removed.id === state.selectedId) {
+            select(null);
+        }
+    }
+}
+
+// Detail pane
+
+function selectedLog() {
+    return state.logs.find(log => log.id === state.selectedId) || null;
+}
+
+function select(id) {
+    state.selectedId = id;
+    document.querySelectorAll('.log-row').forEach(row => {
+        const selected = row.dataset.id === id;
+        row.classList.toggle('selected', selected);
+        row.setAttribute('aria-selected', String(selected));
+        if (selected) {
+            row.scrollIntoView({ block: 'nearest' });
+        }
+    });
+    renderDetail(selectedLog());
+}
+
+function selectIndex(index) {
+    if (state.logs.length > 0) {
+        select(state.logs[Math.max(0, Math.min(state.logs.length - 1, index))].id);
+    }
+}
+
+// With nothing selected, moving down starts at the newest entry and up at the oldest
+function move(offset) {
+    const index = state.logs.findIndex(log => log.id === state.selectedId);
+    selectIndex(index === -1 ? (offset > 0 ? 0 : state.logs.length - 1) : index + offset);
+}
+
+function field(list, label, value) {
+    if (value === undefined || value === null || value === '') {
+        return;
+    }
+    list.append(el('dt', null, label));
+    const cell = el('dd');
+    cell.append(value instanceof Node ? value : document.createTextNode(String(value)));
+    list.append(cell);
+}
+
+function link(href, text) {
+    const anchor = el('a', null, text);
+    anchor.href = href;
+    return anchor;
+}
+
+// Metadata as a tree of <details>, the top level open and everything below collapsed
+function metadataTree(value, key, depth) {
+    if (value !== null && typeof value === 'object') {
+        const keys = Object.keys(value);
+        const node = el('details', 'tree');
+        node.open = depth === 0;
+        const summary = el('summary');
+        if (key !== undefined) {
+            summary.append(el('span', 'tree-key', key), ': ');
+        }
+        summary.append(el('span', 'tree-size', Array.isArray(value) ? '[' + keys.length + ']' : '{' + keys.length + '}'));
+        node.appendChild(summary);
+        keys.forEach(child => node.appendChild(metadataTree(value[child], child, depth + 1)));
+        return node;
+    }
+
+    const leaf = el('div', 'tree-leaf');
+    leaf.append(
+        el('span', 'tree-key', key),
+        ': ',
+        el('span', 'tree-value ' + (value === null ? 'null' : typeof value), JSON.stringify(value))
+    );
+    return leaf;
+}
+
+function renderDetail(log) {
+    const pane = document.getElementById('detailPane');
+    pane.textContent = '';
+    pane.hidden = !log;
+    if (!log) {
+        return;
+    }
+
+    const header = el('div', 'detail-header');
+    const actions = el('div', 'detail-actions');
+    const copyButton = el('button', null, '📋 Copy as JSON');
+    copyButton.addEventListener('click', () => copyEntry(log, copyButton));
+    const closeButton = el('button', null, '✕');
+    closeButton.title = 'Close (Esc)';
+    closeButton.addEventListener('click', () => select(null));
+    actions.append(copyButton, closeButton);
+    header.append(typeBadge(log.type), actions);
+    pane.append(header, el('h2', 'log-title', log.title));
+
+    if (log.description) {
+        pane.appendChild(el('div', 'log-description', log.description));
+    }
+
+    const fields = el('dl', 'detail-fields');
+    const received = el('span');
+    received.append(absoluteTime(log.timestamp), ' · ', timeElement(log.timestamp));
+    field(fields, 'Received', received);
+    if (log.clientTimestamp) {
+        field(fields, 'Device time', absoluteTime(log.clientTimestamp));
+    }
+    field(fields, 'ID', log.id);
+    field(fields, 'Event ID', log.eventId);
+    if (log.fingerprint) {
+        field(fields, 'Issue', link(pageHref('/logs', { fingerprint: log.fingerprint }), log.fingerprint));
+    }
+    if (log.sessionId) {
+        field(fields, 'Session', link(pageHref('/logs/sessions/' + encodeURIComponent(log.sessionId), { focus: log.id }), '🧵 ' + log.sessionId));
+    }
+    field(fields, 'User', log.userId);
+    field(fields, 'Trace', log.traceId);
+    if (log.appVersion) {
+        field(fields, 'Release', [
+            log.appVersion + (log.buildNumber ? ' (' + log.buildNumber + ')' : ''),
+            log.platform,
+            log.environment
+        ].filter(Boolean).join(' · '));
+    }
+    if (Array.isArray(log.redactions) && log.redactions.length > 0) {
+        field(fields, 'Redacted', log.redactions.join(', '));
+    }
+    pane.appendChild(fields);
+
+    if (log.symbolicated && Array.isArray(log.symbolicated.frames)) {
+        pane.appendChild(stackBlock(log.symbolicated));
+    }
+
+    if (log.metadata && Object.keys(log.metadata).length > 0) {
+        const metadata = el('div', 'log-metadata detail-metadata');
+        metadata.appendChild(metadataTree(log.metadata, 'metadata', 0));
+        pane.appendChild(metadata);
+    }
+}
+
+async function copyEntry(log, button) {
+    const text = JSON.stringify(log, null, 2);
+    try {
+        await navigator.clipboard.writeText(text);
+    } catch (error) {
+        // The Clipboard API is only available on https and localhost
+        const area = el('textarea');
+        area.value = text;
+        document.body.appendChild(area);
+        area.select();
+        document.execCommand('copy');
+        area.remove();
+    }
+    if (button) {
+        button.textContent = '✅ Copied';
+        setTimeout(() => {
+            button.textContent = '📋 Copy as JSON';
+        }, 1500);
+    }
+}
+
+// Loading
+
+async function loadTypes() {
+    const result = await (await apiFetch('/api/types')).json();
+    if (!result.success) {
+        throw new Error(result.error);
+    }
+    const select = document.getElementById('logType');
+    result.types.forEach(type => {
+        const option = el('option', null, type.label);
+        option.value = type.name;
+        select.appendChild(option);
+        state.typeLabels[type.name] = type.label;
+    });
+}
+
+// Releases seen recently, newest first, for the selector and the summary of the chosen one
+
+function percent(rate) {
+    return (rate * 100).toFixed(rate < 0.1 ? 2 : 1) + '%';
+}
+
+function renderReleaseOptions() {
+    const select = document.getElementById('releaseSelect');
+    select.textContent = '';
+    const all = el('option', null, 'All releases');
+    all.value = '';
+    select.appendChild(all);
+
+    const versions = state.releases.map(release => release.appVersion);
+    if (state.appVersion && !versions.includes(state.appVersion)) {
+        versions.unshift(state.appVersion);
+    }
+    versions.forEach(version => {
+        const release = state.releases.find(item => item.appVersion === version);
+        const option = el('option', null, version + (release && release.regressed ? ' ⚠️ regression' : ''));
+        option.value = version;
+        select.appendChild(option);
+    });
+    select.value = state.appVersion || '';
+    renderReleaseSummary();
+}
+
+function renderReleaseSummary() {
+    const summary = document.getElementById('releaseSummary');
+    const release = state.releases.find(item => item.appVersion === state.appVersion);
+    summary.textContent = '';
+    summary.hidden = !release;
+    if (!release) {
+        return;
+    }
+
+    summary.classList.toggle('regressed', release.regressed);
+    summary.append(
+        el('strong', null, 'Release ' + release.appVersion),
+        el('span', null, release.total + ' events'),
+        el('span', null, release.sessions + ' sessions')
+    );
+    if (release.platforms.length > 0) {
+        summary.appendChild(el('span', null, release.platforms.join(', ')));
+    }
+    Object.keys(release.rates).forEach(type => {
+        const previous = state.releases.find(item => item.appVersion === release.previousVersion);
+        const regression = release.regressions.find(item => item.type === type);
+        summary.appendChild(el('span', regression ? 'release-rate regressed' : 'release-rate',
+            (state.typeLabels[type] || type) + ' ' + percent(release.rates[type]) +
+            (previous ? ' (' + previous.appVersion + ': ' + percent(previous.rates[type]) + ')' : '') +
+            (regression ? ' ⚠️' : '')));
+    });
+}
+
+async function loadReleases() {
+    const url = new URL('/api/releases', window.location.origin);
+    url.searchParams.set('from', String(Date.now() - RELEASE_WINDOW_DAYS * 24 * 60 * 60 * 1000));
+    url.searchParams.set('interval', 'day');
+    try {
+        const result = await (await apiFetch(url)).json();
+        if (result.success) {
+            state.releases = result.releases;
+            renderReleaseOptions();
+        }
+    } catch (error) {
+        console.error('Failed to load releases', error);
+    }
+}
+
+async function loadLogs() {
+    const url = applyFilters(new URL('/api/logs', window.location.origin));
+    url.searchParams.set('limit', String(state.limit));
+    try {
+        const result = await (await apiFetch(url)).json();
+        if (!result.success) {
+            showError('Failed to load logs: ' + result.error);
+            return;
+        }
+        showError(null);
+        state.logs = result.logs;
+        lastEventId = state.logs.length > 0 ? state.logs[0].id : null;
+        if (!selectedLog()) {
+            state.selectedId = null;
+        }
+        renderList();
+        renderDetail(selectedLog());
+    } catch (error) {
+        showError('Error loading logs: ' + error.message);
+    }
+}
+
+function reload() {
+    pending = [];
+    updatePauseButton();
+    return loadLogs().then(connectStream);
+}
+
+// Downloads everything matching the current filters, not just the entries on screen
+function exportLogs() {
+    const url = applyFilters(new URL('/api/logs/export', window.location.origin));
+    const format = document.getElementById('exportFormat').value;
+    url.searchParams.set('format', format === 'ndjson-gzip' ? 'ndjson' : format);
+    if (format === 'ndjson-gzip') {
+        url.searchParams.set('gzip', 'true');
+    }
+    if (apiKey) {
+        url.searchParams.set('key', apiKey);
+    }
+    window.location.href = url.toString();
+}
+
+// Deletes what the dashboard currently shows (type and issue filters), after
+// previewing how many entries that is
+async function clearLogs() {
+    const url = applyFilters(new URL('/api/logs', window.location.origin));
+    const scope = url.searchParams.toString() ? 'matching the current filter' : 'in this project';
+    if (!url.searchParams.toString()) {
+        url.searchParams.set('all', 'true');
+    }
+
+    try {
+        url.searchParams.set('dryRun', 'true');
+        const preview = await (await apiFetch(url.toString(), { method: 'DELETE' })).json();
+        if (!preview.success) {
+            alert('Failed to clear logs: ' + preview.error);
+            return;
+        }
+        if (preview.matched === 0) {
+            alert('There are no logs ' + scope + '.');
+            return;
+        }
+        if (!confirm('Delete ' + preview.matched + ' log entries ' + scope + '? This cannot be undone.')) {
+            return;
+        }
+
+        url.searchParams.delete('dryRun');
+        const result = await (await apiFetch(url.toString(), { method: 'DELETE' })).json();
+        if (result.success) {
+            alert(result.deleted + ' log entries deleted');
+            state.selectedId = null;
+            reload();
+            loadStats();
+        } else {
+            alert('Failed to clear logs: ' + result.error);
+        }
+    } catch (error) {
+        alert('Error clearing logs: ' + error.message);
+    }
+}
+
+// Live tail: new entries arrive over Server-Sent Events and are added on top
+
+let lastEventId = null;
+let paused = false;
+let pending = [];
+let source = null;
+let retryTimer = null;
+let retryDelay = 1000;
+
+function setStatus(status, text) {
+    const label = document.getElementById('liveStatus');
+    label.className = 'live-status ' + status;
+    label.textContent = text;
+}
+
+function updatePauseButton() {
+    const button = document.getElementById('pauseBtn');
+    button.textContent = paused
+        ? '▶️ Resume' + (pending.length > 0 ? ' (' + pending.length + ' new)' : '')
+        : '⏸️ Pause';
+}
+
+function togglePause() {
+    paused = !paused;
+    if (!paused) {
+        pending.forEach(showEntry);
+        pending = [];
+    }
+    setStatus(paused ? 'paused' : 'live', paused ? 'Paused' : 'Live');
+    updatePauseButton();
+}
+
+function connectStream() {
+    if (source) {
+        source.close();
+    }
+    clearTimeout(retryTimer);
+
+    const url = applyFilters(new URL('/api/logs/stream', window.location.origin));
+    if (apiKey) {
+        url.searchParams.set('key', apiKey);
+    }
+    if (lastEventId) {
+        url.searchParams.set('lastEventId', lastEventId);
+    }
+
+    const stream = new EventSource(url);
+    source = stream;
+
+    stream.onopen = () => {
+        retryDelay = 1000;
+        setStatus(paused ? 'paused' : 'live', paused ? 'Paused' : 'Live');
+    };
+
+    stream.addEventListener('entry', event => {
+        lastEventId = event.lastEventId;
+        const log = JSON.parse(event.data);
+        if (paused) {
+            // Only the newest entries would survive being shown anyway
+            pending.push(log);
+            if (pending.length > state.limit) {
+                pending.shift();
+            }
+            updatePauseButton();
+        } else {
+            showEntry(log);
+        }
+    });
+
+    stream.onerror = () => {
+        setStatus('reconnecting', 'Reconnecting…');
+        // The browser retries on its own unless the connection was refused outright
+        if (stream.readyState === EventSource.CLOSED && source === stream) {
+            stream.close();
+            retryTimer = setTimeout(connectStream, retryDelay);
+            retryDelay = Math.min(retryDelay * 2, 30000);
+        }
+    };
+}
+
+// Stat cards and histogram, compared against the window before the selected one
+
+function statsUrl(from, to) {
+    const url = new URL('/api/stats', window.location.origin);
+    url.searchParams.set('from', String(from));
+    url.searchParams.set('to', String(to));
+    url.searchParams.set('top', '5');
+    if (state.appVersion) {
+        url.searchParams.set('appVersion', state.appVersion);
+    }
+    return url;
+}
+
+function statCard(value, label, previous) {
+    const card = el('div', 'stat-card');
+    card.append(el('div', 'stat-number', value), el('div', 'stat-label', label));
+
+    if (previous !== undefined) {
+        const trend = el('div', 'stat-trend');
+        if (previous === 0) {
+            trend.textContent = value === 0 ? 'No change' : 'New in this period';
+        } else {
+            const change = Math.round((value - previous) / previous * 100);
+            trend.className = 'stat-trend ' + (change > 0 ? 'up' : change < 0 ? 'down' : '');
+            trend.textContent = (change > 0 ? '▲ ' : change < 0 ? '▼ ' : '') + Math.abs(change) + '% vs previous period';
+        }
+        card.appendChild(trend);
+    }
+    return card;
+}
+
+function renderHistogram(series) {
+    const histogram = document.getElementById('histogram');
+    histogram.textContent = '';
+    const max = Math.max(1, ...series.map(bucket => bucket.total));
+
+    series.forEach(bucket => {
+        const bar = el('div', 'histogram-bar');
+        bar.title = absoluteTime(bucket.time) + ': ' + bucket.total + ' events';
+        Object.keys(bucket.byType).forEach(type => {
+            const segment = el('div', 'bar-segment ' + type);
+            segment.style.height = (bucket.byType[type] / max * 100) + '%';
+            bar.appendChild(segment);
+        });
+        histogram.appendChild(bar);
+    });
+
+    if (series.length > 0) {
+        document.getElementById('histogramStart').textContent = absoluteTime(series[0].time);
+        document.getElementById('histogramEnd').textContent = absoluteTime(series[series.length - 1].time);
+    }
+}
+
+function renderTopTitles(topTitles) {
+    const list = document.getElementById('topTitles');
+    list.textContent = '';
+    topTitles.forEach(item => {
+        const row = el('li');
+        row.append(el('span', null, '[' + item.type + '] ' + item.title), el('strong', null, item.count));
+        list.appendChild(row);
+    });
+}
+
+async function loadStats() {
+    const windowMs = parseInt(document.getElementById('statsWindow').value, 10) * 60 * 60 * 1000;
+    const to = Date.now();
+    try {
+        const responses = await Promise.all([
+            apiFetch(statsUrl(to - windowMs, to)),
+            apiFetch(statsUrl(to - 2 * windowMs, to - windowMs))
+        ]);
+        const [current, previous] = await Promise.all(responses.map(response => response.json()));
+        if (!current.success) {
+            return;
+        }
+
+        const cards = document.getElementById('statCards');
+        cards.textContent = '';
+        cards.appendChild(statCard(current.total, 'Total events', previous.success ? previous.total : undefined));
+        Object.keys(state.typeLabels).forEach(type => {
+            const count = current.countsByType[type] || 0;
+            const before = previous.success ? previous.countsByType[type] || 0 : undefined;
+            cards.appendChild(statCard(count, state.typeLabels[type], before));
+        });
+
+        renderHistogram(current.series);
+        renderTopTitles(current.topTitles);
+    } catch (error) {
+        console.error('Failed to load stats', error);
+    }
+}
+
+// Keyboard navigation; ignored while typing in a form control
+
+function onKeyDown(event) {
+    if (event.metaKey || event.ctrlKey || event.altKey || event.target.closest('input, select, textarea')) {
+        return;
+    }
+    switch (event.key) {
+        case 'j':
+        case 'ArrowDown':
+            move(1);
+            break;
+        case 'k':
+        case 'ArrowUp':
+            move(-1);
+            break;
+        case 'Home':
+            selectIndex(0);
+            break;
+        case 'End':
+            selectIndex(state.logs.length - 1);
+            break;
+        case 'Escape':
+            select(null);
+            break;
+        case 'c':
+            if (!selectedLog()) {
+                return;
+            }
+            copyEntry(selectedLog(), document.querySelector('.detail-actions button'));
+            break;
+        case 'p':
+            togglePause();
+            break;
+        case 'r':
+            reload();
+            loadStats();
+            break;
+        default:
+            return;
+    }
+    event.preventDefault();
+}
+
+function onFilterChange() {
+    const appVersion = document.getElementById('releaseSelect').value || null;
+    const releaseChanged = appVersion !== state.appVersion;
+    state.type = document.getElementById('logType').value;
+    state.limit = parseInt(document.getElementById('limitSelect').value, 10);
+    state.appVersion = appVersion;
+    writeFilters();
+    renderReleaseSummary();
+    reload();
+    if (releaseChanged) {
+        loadStats();
+    }
+}
+
+async function init() {
+    initPage();
+
+    document.getElementById('logType').addEventListener('change', onFilterChange);
+    document.getElementById('limitSelect').addEventListener('change', onFilterChange);
+    document.getElementById('releaseSelect').addEventListener('change', onFilterChange);
+    document.getElementById('clearFingerprint').addEventListener('click', () => {
+        state.fingerprint = null;
+        writeFilters();
+        readFilters();
+        reload();
+    });
+    document.getElementById('exportBtn').addEventListener('click', exportLogs);
+    document.getElementById('clearBtn').addEventListener('click', clearLogs);
+    document.getElementById('refreshBtn').addEventListener('click', () => {
+        reload();
+        loadStats();
+    });
+    document.getElementById('pauseBtn').addEventListener('click', togglePause);
+    document.getElementById('statsWindow').addEventListener('change', loadStats);
+    document.addEventListener('keydown', onKeyDown);
+    window.addEventListener('popstate', () => {
+        readFilters();
+        reload();
+        loadStats();
+    });
+
+    try {
+        await loadTypes();
+    } catch (error) {
+        showError('Failed to load event types: ' + error.message);
+    }
+    readFilters();
+    reload();
+    loadStats();
+    loadReleases();
+    setInterval(loadStats, 60000);
+}
+
+init();
@@ -0,0 +1,115 @@
+// Session page: every event of one session in the order it happened on the device,
+// from /api/sessions/:id, with the entry given as `focus` highlighted
+
+const sessionId = decodeURIComponent(window.location.pathname.split('/').pop());
+const focusId = new URL(window.location).searchParams.get('focus');
+
+// Time since the first event of a session, e.g. +4.2s or +3m 07s
+function formatOffset(ms) {
+    if (ms < 60000) {
+        return '+' + (ms / 1000).toFixed(1) + 's';
+    }
+    const minutes = Math.floor(ms / 60000);
+    const seconds = String(Math.floor((ms % 60000) / 1000)).padStart(2, '0');
+    return minutes < 60 ? '+' + minutes + 'm ' + seconds + 's' : '+' + Math.floor(minutes / 60) + 'h ' + (minutes % 60) + 'm';
+}
+
+function emptyState() {
+    const empty = el('div', 'empty-state');
+    empty.append(
+        el('div', 'empty-icon', '🧵'),
+        el('h3', null, 'No events in this session'),
+        el('p', null, 'Events sent with this sessionId will appear here')
+    );
+    return empty;
+}
+
+function renderSummary(session) {
+    const summary = document.getElementById('sessionSummary');
+    const sessionLabel = el('span', null, 'Session ');
+    sessionLabel.appendChild(el('strong', null, sessionId));
+    summary.appendChild(sessionLabel);
+    if (!session) {
+        return;
+    }
+
+    summary.appendChild(el('span', null, (session.truncated ? 'Last ' + session.count + ' of ' + session.total : session.count) + ' events'));
+    if (session.userIds.length > 0) {
+        summary.appendChild(el('span', null, 'User ' + session.userIds.join(', ')));
+    }
+    if (session.firstSeen) {
+        summary.appendChild(el('span', null, absoluteTime(session.firstSeen) + ' – ' + absoluteTime(session.lastSeen)));
+    }
+}
+
+function eventCard(log, start) {
+    const time = Date.parse(log.clientTimestamp || log.timestamp);
+    const card = el('div', 'log-entry ' + log.type);
+    card.id = 'entry-' + log.id;
+    if (log.id === focusId) {
+        card.classList.add('focused');
+    }
+
+    const header = el('div', 'log-header');
+    const label = el('span');
+    label.append(typeBadge(log.type), el('span', 'session-offset', formatOffset(time - start)));
+    header.append(label, el('span', 'log-timestamp', absoluteTime(new Date(time).toISOString())));
+    card.append(header, el('div', 'log-title', log.title));
+
+    if (log.description) {
+        card.appendChild(el('div', 'log-description', log.description));
+    }
+    if (log.symbolicated && Array.isArray(log.symbolicated.frames)) {
+        card.appendChild(stackBlock(log.symbolicated));
+    }
+    if (log.userId || log.traceId) {
+        const context = el('div', 'log-context');
+        if (log.userId) {
+            context.appendChild(el('span', null, 'User ' + log.userId));
+        }
+        if (log.traceId) {
+            context.appendChild(el('span', null, 'Trace ' + log.traceId));
+        }
+        card.appendChild(context);
+    }
+    if (log.metadata && Object.keys(log.metadata).length > 0) {
+        card.appendChild(el('pre', 'log-metadata', JSON.stringify(log.metadata, null, 2)));
+    }
+    return card;
+}
+
+async function loadSession() {
+    const list = document.getElementById('sessionEvents');
+    try {
+        const response = await apiFetch('/api/sessions/' + encodeURIComponent(sessionId));
+        const result = await response.json();
+        if (response.status === 404) {
+            renderSummary(null);
+            list.appendChild(emptyState());
+            return;
+        }
+        if (!result.success) {
+            showError('Failed to load session: ' + result.error);
+            return;
+        }
+
+        renderSummary(result);
+        const start = result.firstSeen ? Date.parse(result.firstSeen) : 0;
+        result.events.forEach(log => list.appendChild(eventCard(log, start)));
+
+        const focused = list.querySelector('.log-entry.focused');
+        if (focused) {
+            focused.scrollIntoView({ block: 'center' });
+        }
+    } catch (error) {
+        showError('Error loading session: ' + error.message);
+    }
+}
+
+function init() {
+    initPage();
+    document.getElementById('backLink').href = pageHref('/logs');
+    loadSession();
+}
+
+init();
@@ -1,17 +1,119 @@
 const express = require('express');
 const fs = require('fs').promises;
 const path = require('path');
+const stream = require('stream');
+const zlib = require('zlib');
 const cors = require('cors');
+const { Logger, pickContext } = require('./lib/logger');
+const { createStoreFactory } = require('./lib/storage');
+const { importLegacyLogs, migrateUnscopedLogs } = require('./lib/legacy-import');
+const { parseLogQuery, parseDeleteQuery, matchesFilter } = require('./lib/query');
+const { ProjectRegistry, ProjectStores, loadProjectConfig, requireKey } = require('./lib/projects');
+const { TypeRegistry } = require('./lib/types');
+const { typeStyles } = require('./lib/dashboard');
+const { AlertEngine, loadAlertConfig } = require('./lib/alerts');
+const { IssueTracker, fingerprint, ISSUE_STATUSES } = require('./lib/issues');
+const { parseStatsOptions } = require('./lib/stats');
+const { createExportStream, EXPORT_FORMATS } = require('./lib/export');
+const { RateLimiter, checkEntryLimits, RATE_LIMIT_KEYS } = require('./lib/limits');
+const { Redactor, loadRedactionConfig } = require('./lib/redaction');
+const { AuditLog } = require('./lib/audit');
+const { SourceMap, SourceMapStore } = require('./lib/sourcemaps');
+const { loadSession, parseSessionLimit } = require('./lib/sessions');
+const { MetricsRegistry, directorySize } = require('./lib/metrics');
+const { parseExportRequest, parseSeverityTypes, countLogRecords } = require('./lib/otlp');
+const { SinkManager, loadSinkConfig } = require('./lib/sinks');
+const { WriteBuffer } = require('./lib/write-buffer');
+const { computeReleases, parseReleaseOptions } = require('./lib/releases');
+const { computeEndpoints, parseEndpointOptions, FAILURE_TYPE } = require('./lib/endpoints');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const STORAGE_ADAPTER = process.env.STORAGE_ADAPTER || 'file';
+const WRITE_FSYNC = process.env.WRITE_FSYNC || 'interval';
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 10000;
+
+// Behind Railway's proxy req.ip is only the client address when the proxy is trusted
+if (process.env.TRUST_PROXY) {
+    const hops = parseInt(process.env.TRUST_PROXY, 10);
+    const flags = { true: true, false: false };
+    app.set('trust proxy', isNaN(hops) ? (process.env.TRUST_PROXY in flags ? flags[process.env.TRUST_PROXY] : process.env.TRUST_PROXY) : hops);
+}
+
+const MAX_BODY_SIZE = process.env.MAX_BODY_SIZE || '1mb';
+const SOURCEMAP_MAX_SIZE = process.env.SOURCEMAP_MAX_SIZE || '100mb';
+
+// Prometheus metrics, served by GET /metrics
+const metrics = new MetricsRegistry();
+const ingestedEvents = metrics.counter('nogger_events_ingested_total', 'Events written to storage', ['project', 'type']);
+const rejectedRequests = metrics.counter('nogger_rejected_requests_total', 'Ingestion requests refused, by reason', ['reason']);
+const droppedEventsTotal = metrics.counter('nogger_dropped_events_total', 'Events refused before reaching the logger, by reason', ['reason']);
+const writeFailures = metrics.counter('nogger_write_failures_total', 'Entries the logger failed to process or store', ['project']);
+const ingestDuration = metrics.histogram('nogger_ingest_duration_seconds', 'Time taken to answer ingestion requests');
+metrics.gauge('nogger_storage_bytes', 'Size of the stored logs on disk', async () => {
+    const dirs = await fs.readdir(logsDir, { withFileTypes: true }).catch(() => []);
+    const sizes = [];
+    // Hidden directories such as the write spool are not projects
+    for (const dir of dirs.filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))) {
+        sizes.push({ labels: { project: dir.name }, value: await directorySize(path.join(logsDir, dir.name)) });
+    }
+    return sizes;
+});
+
+const REJECTION_REASONS = {
+    400: 'validation',
+    404: 'validation',
+    401: 'auth',
+    403: 'auth',
+    413: 'payload_too_large',
+    415: 'validation',
+    429: 'rate_limit'
+};
+
+const OTLP_LOGS_PATH = '/v1/logs';
+
+function isIngestionRequest(req) {
+    return req.method === 'POST' && (req.path.startsWith('/api/log') || req.path === OTLP_LOGS_PATH);
+}
+
+// Ingestion requests still being answered, waited for on shutdown
+let inFlightIngestion = 0;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use((req, res, next) => {
+    if (!isIngestionRequest(req)) {
+        return next();
+    }
+    const start = process.hrtime.bigint();
+    inFlightIngestion++;
+    res.on('close', () => inFlightIngestion--);
+    res.on('finish', () => {
+        ingestDuration.observe(Number(process.hrtime.bigint() - start) / 1e9);
+        const reason = REJECTION_REASONS[res.statusCode];
+        if (reason) {
+            rejectedRequests.inc({ reason });
+        }
+    });
+    next();
+});
+// Source maps are far larger than log entries and are read by their own route
+const jsonBody = express.json({ limit: MAX_BODY_SIZE });
+app.use((req, res, next) => (req.path.startsWith('/api/sourcemaps') ? next() : jsonBody(req, res, next)));
+
+// Dashboard assets. The logs page only runs its own script and renders from the JSON API.
+const publicDir = path.join(__dirname, 'public');
+const DASHBOARD_CSP = "default-src 'self'; script-src 'self'; style-src 'self'; img-src 'self' data:; " +
+    "object-src 'none'; base-uri 'none'; frame-ancestors 'none'";
+
+app.get('/dashboard/types.css', (req, res) => {
+    res.set('Cache-Control', 'no-cache');
+    res.type('text/css').send(typeStyles(types.list()));
+});
+app.use('/dashboard', express.static(publicDir));
 
 // Create logs directory if it doesn't exist
-const logsDir = path.join(__dirname, 'logs');
+const logsDir = process.env.LOGS_DIR ? path.resolve(process.env.LOGS_DIR) : path.join(__dirname, 'logs');
 
 async function ensureLogsDirectory() {
     try {
@@ -21,80 +123,321 @@ async function ensureLogsDirectory() {
     }
 }
 
-// Logger class
-class Logger {
-    constructor() {
-        this.logFile = path.join(logsDir, 'app_logs.txt');
+const projects = new ProjectRegistry(
+    loadProjectConfig(process.env.PROJECTS_FILE || path.join(__dirname, 'projects.json'))
+);
+
+const stores = new ProjectStores(logsDir, createStoreFactory(STORAGE_ADAPTER, {
+    maxSize: (parseFloat(process.env.LOG_MAX_SIZE_MB) || 10) * 1024 * 1024,
+    retentionDays: parseFloat(process.env.LOG_RETENTION_DAYS) || 14,
+    maxSegments: parseInt(process.env.LOG_MAX_SEGMENTS, 10) || 30,
+    fsync: WRITE_FSYNC
+}));
+
+// Writes are group-committed; when storage fails they go to a spool and are retried
+const writeBuffer = new WriteBuffer(stores, {
+    spoolDir: process.env.SPOOL_DIR ? path.resolve(process.env.SPOOL_DIR) : path.join(logsDir, '.spool'),
+    fsync: WRITE_FSYNC,
+    fsyncIntervalMs: parseInt(process.env.WRITE_FSYNC_INTERVAL_MS, 10) || 1000
+});
+metrics.gauge('nogger_spooled_events', 'Entries waiting in the spool for storage to recover', () => [
+    { value: writeBuffer.status().spooled }
+]);
+
+const logger = new Logger(writeBuffer);
+logger.on('entry', entry => ingestedEvents.inc({ project: entry.project, type: entry.type }));
+logger.on('failure', (error, entry) => writeFailures.inc({ project: entry.project }));
+
+const types = new TypeRegistry(process.env.TYPES_FILE || path.join(__dirname, 'types.json'));
+
+// Personal data is masked before any other processor sees the entry or it is stored
+const redactor = new Redactor(
+    loadRedactionConfig(process.env.REDACTION_FILE || path.join(__dirname, 'redaction.json'))
+);
+logger.use(entry => redactor.redactEntry(entry));
+
+// Stack traces from release builds are mapped back to the original sources when a
+// source map was uploaded for the entry's app version and platform
+const sourceMaps = new SourceMapStore(stores);
+logger.use(async entry => {
+    try {
+        const symbolicated = await sourceMaps.symbolicate(entry);
+        if (symbolicated) {
+            entry.symbolicated = symbolicated;
+        }
+    } catch (error) {
+        console.error('Failed to symbolicate stack trace:', error);
     }
+});
 
-    async log(type, title, description = '', metadata = {}) {
-        const timestamp = new Date().toISOString();
-        const logEntry = {
-            timestamp,
-            type,
-            title,
-            description,
-            metadata
-        };
+// Errors and API failures are fingerprinted and grouped into issues
+const issueTypes = (process.env.ISSUE_TYPES || 'error,api-failed').split(',').map(type => type.trim());
+const issues = new IssueTracker(stores);
+logger.use(entry => {
+    if (issueTypes.includes(entry.type)) {
+        entry.fingerprint = fingerprint(entry);
+    }
+});
+logger.on('entry', entry => {
+    issues.record(entry).catch(error => console.error('Failed to record issue:', error));
+});
 
-        const logLine = `[${timestamp}] [${type.toUpperCase()}] ${title}${description ? ` - ${description}` : ''}\n`;
-        const detailedLog = `${JSON.stringify(logEntry, null, 2)}\n${'='.repeat(50)}\n`;
+const alerts = new AlertEngine(
+    loadAlertConfig(process.env.ALERTS_FILE || path.join(__dirname, 'alerts.json')),
+    { stores, historyFile: path.join(logsDir, 'alerts.ndjson') }
+);
+logger.on('entry', entry => alerts.evaluate(entry));
 
-        try {
-            // Append to main log file
-            await fs.appendFile(this.logFile, logLine);
-            
-            // Also create separate files for each event type
-            const typeFile = path.join(logsDir, `${type}_logs.txt`);
-            await fs.appendFile(typeFile, detailedLog);
-            
-            console.log(`Logged ${type}: ${title}`);
-            return true;
-        } catch (error) {
-            console.error('Failed to write log:', error);
+// Stored entries are also forwarded to syslog, HTTP or file sinks in the background
+const sinks = new SinkManager(
+    loadSinkConfig(process.env.SINKS_FILE || path.join(__dirname, 'sinks.json')),
+    { types }
+);
+logger.on('entry', entry => sinks.forward(entry));
+
+const audit = new AuditLog(stores);
+
+const requireIngestKey = requireKey(projects, 'ingest');
+const requireAdminKey = requireKey(projects, 'admin');
+
+// Remembers recently accepted client event ids so retried batches are not logged twice.
+// Devices retry most right after a deploy, so the ids are rebuilt from storage on start.
+class RecentEventIds {
+    constructor(maxSize = 10000, ttlMs = 24 * 60 * 60 * 1000) {
+        this.maxSize = maxSize;
+        this.ttlMs = ttlMs;
+        this.ids = new Map();
+        this.claims = new Map();
+    }
+
+    has(id) {
+        const seenAt = this.ids.get(id);
+        if (seenAt === undefined) {
+            return false;
+        }
+        if (Date.now() - seenAt > this.ttlMs) {
+            this.ids.delete(id);
+            return false;
+        }
+        return true;
+    }
+
+    add(id, seenAt = Date.now()) {
+        this.ids.delete(id);
+        this.ids.set(id, seenAt);
+
+        // Map keeps insertion order, so the first key is always the oldest
+        while (this.ids.size > this.maxSize) {
+            this.ids.delete(this.ids.keys().next().value);
+        }
+    }
+
+    // Reserves an id before its entry is written. Resolves false when the id was already
+    // accepted; a request retrying an id that is being written waits for that write.
+    async claim(id) {
+        while (this.claims.has(id)) {
+            await this.claims.get(id).done;
+        }
+        if (this.has(id)) {
             return false;
         }
+        let release;
+        const done = new Promise(resolve => { release = resolve; });
+        this.claims.set(id, { done, release });
+        return true;
+    }
+
+    // Ends a claim; ids whose entry could not be written stay free for the next retry
+    settle(id, accepted) {
+        const claim = this.claims.get(id);
+        this.claims.delete(id);
+        if (accepted) {
+            this.add(id);
+        }
+        if (claim) {
+            claim.release();
+        }
+    }
+
+    // Reads the event ids of entries stored within the TTL, newest first per project
+    async load(stores, projectIds) {
+        const cutoff = Date.now() - this.ttlMs;
+        const found = [];
+        for (const projectId of projectIds) {
+            const store = await stores.get(projectId);
+            let count = 0;
+            for await (const entry of store.entries()) {
+                const time = Date.parse(entry.timestamp);
+                if (time < cutoff || count >= this.maxSize) {
+                    break;
+                }
+                if (entry.eventId) {
+                    found.push([`${projectId}:${entry.eventId}`, time]);
+                    count++;
+                }
+            }
+        }
+        found.sort((a, b) => a[1] - b[1]).forEach(([id, time]) => this.add(id, time));
+        return found.length;
     }
 }
 
-const logger = new Logger();
+const recentEventIds = new RecentEventIds();
 
-// API Routes
+const MAX_BATCH_SIZE = 500;
 
-// Generic logging endpoint
-app.post('/api/log', async (req, res) => {
-    try {
-        const { type, title, description = '', metadata = {} } = req.body;
+// Only ingestion is checked against the registry. Read and delete filters take any type
+// so entries of a removed type stay reachable; aliases are resolved to the type's name.
+function resolveFilterType(filter) {
+    const type = filter.type && types.resolve(filter.type);
+    if (type) {
+        filter.type = type.name;
+    }
+}
 
-        // Validate required fields
-        if (!type || !title) {
-            return res.status(400).json({
-                success: false,
-                error: 'Type and title are required fields'
-            });
+function invalidTypeMessage() {
+    return `Invalid event type. Allowed types: ${types.names().join(', ')}`;
+}
+
+const entryLimits = {
+    maxTitleLength: parseInt(process.env.MAX_TITLE_LENGTH, 10) || 500,
+    maxDescriptionLength: parseInt(process.env.MAX_DESCRIPTION_LENGTH, 10) || 10000,
+    maxMetadataDepth: parseInt(process.env.MAX_METADATA_DEPTH, 10) || 8,
+    maxMetadataBytes: parseInt(process.env.MAX_METADATA_BYTES, 10) || 16 * 1024
+};
+
+// Returns an error message for an invalid log entry, or null if it is valid
+function validateLogEntry({ type, title, description, metadata }) {
+    if (!type || !title) {
+        return 'Type and title are required fields';
+    }
+
+    if (!types.has(type)) {
+        return invalidTypeMessage();
+    }
+
+    return checkEntryLimits({ title, description, metadata }, entryLimits) ||
+        types.validateMetadata(type, metadata);
+}
+
+// Events refused before they reached the Logger, reported by /api/health
+const droppedEvents = { total: 0, rateLimited: 0, invalid: 0, payloadTooLarge: 0 };
+
+function countDropped(reason, count = 1) {
+    droppedEvents[reason] += count;
+    droppedEvents.total += count;
+    droppedEventsTotal.inc({ reason }, count);
+}
+
+// Ingestion rate limit, keyed by client IP, API key or the device id sent by the app.
+// Off unless RATE_LIMIT_MAX is set.
+const RATE_LIMIT_BY = process.env.RATE_LIMIT_BY || 'ip';
+if (!RATE_LIMIT_KEYS.includes(RATE_LIMIT_BY)) {
+    throw new Error(`Invalid RATE_LIMIT_BY "${RATE_LIMIT_BY}". Allowed values: ${RATE_LIMIT_KEYS.join(', ')}`);
+}
+const rateLimiter = new RateLimiter({
+    max: parseInt(process.env.RATE_LIMIT_MAX, 10) || 0,
+    windowMs: (parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS, 10) || 60) * 1000
+});
+// A batch is never bigger than the whole allowance, so a low limit lowers the batch size
+const maxBatchSize = rateLimiter.enabled ? Math.min(MAX_BATCH_SIZE, rateLimiter.max) : MAX_BATCH_SIZE;
+// Without a trusted proxy every client behind it shares the proxy's address and bucket
+if (rateLimiter.enabled && RATE_LIMIT_BY === 'ip' && !process.env.TRUST_PROXY) {
+    throw new Error('RATE_LIMIT_BY=ip needs TRUST_PROXY when running behind a proxy; set TRUST_PROXY=false to limit by the connecting address anyway');
+}
+
+function batchEvents(body) {
+    return Array.isArray(body) ? body : body.events;
+}
+
+// Clients without the configured kind of id fall back to being limited by IP
+function rateLimitKey(req) {
+    if (RATE_LIMIT_BY === 'key' && projects.authEnabled) {
+        return `key:${req.project.id}:${req.keyRole}`;
+    }
+    if (RATE_LIMIT_BY === 'device') {
+        const events = batchEvents(req.body);
+        const first = Array.isArray(events) ? events[0] : req.body;
+        const deviceId = req.headers['x-device-id'] ||
+            (first && first.metadata && first.metadata.deviceId);
+        if (deviceId) {
+            return `device:${req.project.id}:${deviceId}`;
         }
+    }
+    return `ip:${req.ip}`;
+}
+
+function eventCount(req) {
+    if (req.path === OTLP_LOGS_PATH) {
+        return Math.max(countLogRecords(req.body), 1);
+    }
+    const events = batchEvents(req.body);
+    return Array.isArray(events) && events.length > 0 ? events.length : 1;
+}
+
+function rateLimit(req, res, next) {
+    const count = eventCount(req);
 
-        // Validate event type
-        const allowedTypes = ['api-failed', 'log', 'error'];
-        if (!allowedTypes.includes(type)) {
+    // Retrying would never help a batch bigger than the whole allowance
+    if (rateLimiter.enabled && count > rateLimiter.max) {
+        countDropped('payloadTooLarge', count);
+        return res.status(413).json({
+            success: false,
+            error: `Batch of ${count} events exceeds the rate limit of ${rateLimiter.max} events per window. ` +
+                `Maximum ${maxBatchSize} events per request`
+        });
+    }
+
+    const result = rateLimiter.take(rateLimitKey(req), count);
+
+    if (!result.allowed) {
+        countDropped('rateLimited', count);
+        res.set('Retry-After', String(result.retryAfter));
+        return res.status(429).json({
+            success: false,
+            error: 'Rate limit exceeded',
+            retryAfter: result.retryAfter
+        });
+    }
+    next();
+}
+
+function requestMetadata(req, metadata) {
+    return {
+        ...metadata,
+        userAgent: req.headers['user-agent'],
+        ip: req.ip,
+        source: req.project.source
+    };
+}
+
+// API Routes
+
+async function handleLog(req, res, type) {
+    try {
+        const { title, description = '', metadata = {} } = req.body;
+        const { context, error: contextError } = pickContext(req.body);
+
+        const validationError = validateLogEntry({ type, title, description, metadata }) || contextError;
+        if (validationError) {
+            countDropped('invalid');
             return res.status(400).json({
                 success: false,
-                error: `Invalid event type. Allowed types: ${allowedTypes.join(', ')}`
+                error: validationError
             });
         }
 
-        const success = await logger.log(type, title, description, {
-            ...metadata,
-            userAgent: req.headers['user-agent'],
-            ip: req.ip,
-            source: 'react-native-app'
+        const entry = await logger.log(type, title, description, requestMetadata(req, metadata), {
+            projectId: req.project.id,
+            context
         });
 
-        if (success) {
+        if (entry) {
             res.json({
                 success: true,
                 message: 'Log entry created successfully',
-                timestamp: new Date().toISOString()
+                id: entry.id,
+                timestamp: entry.timestamp
             });
         } else {
             res.status(500).json({
@@ -109,558 +452,805 @@ app.post('/api/log', async (req, res) => {
             error: 'Internal server error'
         });
     }
-});
-
-// Specific event endpoints for convenience
-app.post('/api/log/api-failed', async (req, res) => {
-    const { title, description, metadata } = req.body;
-    req.body = { type: 'api-failed', title, description, metadata };
-    return app._router.handle(req, res); // Redirect to main log handler
-});
-
-app.post('/api/log/error', async (req, res) => {
-    const { title, description, metadata } = req.body;
-    req.body = { type: 'error', title, description, metadata };
-    return app._router.handle(req, res); // Redirect to main log handler
-});
+}
 
-app.post('/api/log/info', async (req, res) => {
-    const { title, description, metadata } = req.body;
-    req.body = { type: 'log', title, description, metadata };
-    return app._router.handle(req, res); // Redirect to main log handler
-});
+// Generic logging endpoint
+app.post('/api/log', requireIngestKey, rateLimit, (req, res) => handleLog(req, res, req.body.type));
 
-// Get logs endpoint (optional - for viewing logs)
-app.get('/api/logs', async (req, res) => {
+// Batch endpoint for events queued on the device while offline
+app.post('/api/log/batch', requireIngestKey, rateLimit, async (req, res) => {
     try {
-        const { type, limit = 100 } = req.query;
-        
-        let filename = 'app_logs.txt';
-        if (type && ['api-failed', 'log', 'error'].includes(type)) {
-            filename = `${type}_logs.txt`;
-        }
-        
-        const filePath = path.join(logsDir, filename);
-        
-        try {
-            const data = await fs.readFile(filePath, 'utf8');
-            const lines = data.split('\n').filter(line => line.trim());
-            const recentLines = lines.slice(-limit);
-            
-            res.json({
-                success: true,
-                logs: recentLines,
-                count: recentLines.length,
-                file: filename
+        const events = batchEvents(req.body);
+
+        if (!Array.isArray(events) || events.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Request body must be a non-empty array of events'
             });
-        } catch (fileError) {
-            res.json({
-                success: true,
-                logs: [],
-                count: 0,
-                message: 'No logs found'
+        }
+
+        if (events.length > maxBatchSize) {
+            return res.status(400).json({
+                success: false,
+                error: `Batch too large. Maximum ${maxBatchSize} events per request`
             });
         }
+
+        const results = [];
+        const batchEventIds = new Set();
+
+        // Write sequentially so entries land in the order the device recorded them
+        for (let index = 0; index < events.length; index++) {
+            const event = events[index] || {};
+            const { type, title, description = '', metadata = {}, clientTimestamp, eventId } = event;
+
+            const { context, error: contextError } = pickContext(event);
+
+            const validationError = validateLogEntry({ type, title, description, metadata }) || contextError;
+            if (validationError) {
+                countDropped('invalid');
+                results.push({ index, status: 'rejected', reason: validationError });
+                continue;
+            }
+
+            let deviceTime;
+            if (clientTimestamp !== undefined) {
+                const parsed = new Date(clientTimestamp);
+                if (isNaN(parsed.getTime())) {
+                    countDropped('invalid');
+                    results.push({ index, status: 'rejected', reason: 'Invalid clientTimestamp' });
+                    continue;
+                }
+                deviceTime = parsed.toISOString();
+            }
+
+            if (eventId !== undefined && (typeof eventId !== 'string' || !eventId)) {
+                countDropped('invalid');
+                results.push({ index, status: 'rejected', reason: 'eventId must be a non-empty string' });
+                continue;
+            }
+
+            const dedupKey = eventId && `${req.project.id}:${eventId}`;
+            if (eventId && (batchEventIds.has(eventId) || !await recentEventIds.claim(dedupKey))) {
+                results.push({ index, eventId, status: 'duplicate', reason: 'Event already logged' });
+                continue;
+            }
+
+            let entry = null;
+            try {
+                entry = await logger.log(type, title, description, requestMetadata(req, metadata), {
+                    projectId: req.project.id,
+                    clientTimestamp: deviceTime,
+                    eventId,
+                    context
+                });
+            } finally {
+                if (eventId) {
+                    recentEventIds.settle(dedupKey, Boolean(entry));
+                }
+            }
+
+            if (!entry) {
+                // Not marked as seen, so the client can retry this entry
+                results.push({ index, eventId, status: 'failed', reason: 'Failed to write log entry' });
+                continue;
+            }
+
+            if (eventId) {
+                batchEventIds.add(eventId);
+            }
+            results.push({ index, eventId, id: entry.id, status: 'accepted' });
+        }
+
+        const count = status => results.filter(result => result.status === status).length;
+
+        res.json({
+            success: true,
+            accepted: count('accepted'),
+            rejected: count('rejected'),
+            duplicates: count('duplicate'),
+            failed: count('failed'),
+            results,
+            timestamp: new Date().toISOString()
+        });
     } catch (error) {
-        console.error('Error reading logs:', error);
+        console.error('Error in /api/log/batch:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to read logs'
+            error: 'Internal server error'
         });
     }
 });
 
-// Clear logs endpoint (optional)
-app.delete('/api/logs', async (req, res) => {
-    try {
-        const { type } = req.query;
-        
-        if (type && ['api-failed', 'log', 'error'].includes(type)) {
-            const filePath = path.join(logsDir, `${type}_logs.txt`);
-            await fs.writeFile(filePath, '');
-            res.json({ success: true, message: `${type} logs cleared` });
-        } else {
-            // Clear all logs
-            const files = ['app_logs.txt', 'api-failed_logs.txt', 'log_logs.txt', 'error_logs.txt'];
-            for (const file of files) {
-                try {
-                    await fs.writeFile(path.join(logsDir, file), '');
-                } catch (error) {
-                    // File might not exist, continue
-                }
-            }
-            res.json({ success: true, message: 'All logs cleared' });
-        }
-    } catch (error) {
-        console.error('Error clearing logs:', error);
-        res.status(500).json({
+// Per-type endpoints for convenience, e.g. POST /api/log/error or POST /api/log/info
+app.post('/api/log/:type', requireIngestKey, rateLimit, (req, res) => {
+    const type = types.resolve(req.params.type);
+    if (!type) {
+        return res.status(404).json({
             success: false,
-            error: 'Failed to clear logs'
+            error: invalidTypeMessage()
         });
     }
+    return handleLog(req, res, type.name);
 });
 
-app.get('/logs', async (req, res) => {
+// OpenTelemetry logs over OTLP/HTTP, JSON encoding only. Severities map to types through
+// OTLP_SEVERITY_TYPES (e.g. "warn=api-failed,fatal=error"); records are validated like
+// any other event and the invalid ones reported as a partial success.
+const otlpSeverityTypes = parseSeverityTypes(process.env.OTLP_SEVERITY_TYPES);
+
+app.post(OTLP_LOGS_PATH, requireIngestKey, rateLimit, async (req, res) => {
+    // Errors use the google.rpc.Status shape OTLP exporters expect; 3 is INVALID_ARGUMENT
+    if (!req.is('application/json')) {
+        return res.status(415).json({ code: 3, message: 'Only the OTLP/HTTP JSON encoding is supported' });
+    }
+
+    const { events, error } = parseExportRequest(req.body, {
+        severityTypes: otlpSeverityTypes,
+        maxTitleLength: entryLimits.maxTitleLength
+    });
+    if (error) {
+        countDropped('invalid');
+        return res.status(400).json({ code: 3, message: error });
+    }
+
     try {
-        const { type, limit = 50 } = req.query;
-        
-        // Get all log types
-        const logTypes = ['all', 'api-failed', 'log', 'error'];
-        let logs = [];
-        let selectedType = type || 'all';
-        
-        if (selectedType === 'all') {
-            // Read from main log file and parse entries
-            try {
-                const data = await fs.readFile(path.join(logsDir, 'app_logs.txt'), 'utf8');
-                logs = data.split('\n')
-                    .filter(line => line.trim())
-                    .slice(-limit)
-                    .reverse(); // Show newest first
-            } catch (error) {
-                logs = ['No logs found'];
+        const rejected = [];
+        let invalid = 0;
+        for (const event of events) {
+            const { type, title, description, metadata, clientTimestamp } = event;
+            const { context, error: contextError } = pickContext(event);
+
+            const validationError = validateLogEntry({ type, title, description, metadata }) || contextError;
+            if (validationError) {
+                invalid++;
+                rejected.push(validationError);
+                continue;
             }
-        } else {
-            // Read from specific log type file
-            try {
-                const data = await fs.readFile(path.join(logsDir, `${selectedType}_logs.txt`), 'utf8');
-                const entries = data.split('='.repeat(50))
-                    .filter(entry => entry.trim())
-                    .slice(-limit)
-                    .reverse(); // Show newest first
-                
-                logs = entries.map(entry => {
-                    try {
-                        const jsonMatch = entry.match(/\{[\s\S]*\}/);
-                        if (jsonMatch) {
-                            return JSON.parse(jsonMatch[0]);
-                        }
-                        return entry.trim();
-                    } catch (e) {
-                        return entry.trim();
-                    }
-                });
-            } catch (error) {
-                logs = ['No logs found for this type'];
+
+            const entry = await logger.log(type, title, description, requestMetadata(req, metadata), {
+                projectId: req.project.id,
+                clientTimestamp,
+                context
+            });
+            if (!entry) {
+                rejected.push('Failed to write log entry');
             }
         }
 
-        const html = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Logging Dashboard</title>
-    <style>
-        * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
-        }
-        
-        body {
-            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            min-height: 100vh;
-            padding: 20px;
-        }
-        
-        .container {
-            max-width: 1200px;
-            margin: 0 auto;
-            background: white;
-            border-radius: 15px;
-            box-shadow: 0 20px 40px rgba(0,0,0,0.1);
-            overflow: hidden;
+        if (rejected.length === 0) {
+            return res.json({});
         }
-        
-        .header {
-            background: linear-gradient(135deg, #4facfe 0%, #00f2fe 100%);
-            color: white;
-            padding: 30px;
-            text-align: center;
-        }
-        
-        .header h1 {
-            font-size: 2.5em;
-            margin-bottom: 10px;
-            text-shadow: 0 2px 4px rgba(0,0,0,0.3);
-        }
-        
-        .header p {
-            font-size: 1.1em;
-            opacity: 0.9;
-        }
-        
-        .controls {
-            padding: 25px;
-            background: #f8f9fa;
-            border-bottom: 1px solid #e9ecef;
-        }
-        
-        .control-group {
-            display: flex;
-            gap: 15px;
-            align-items: center;
-            flex-wrap: wrap;
-        }
-        
-        .control-group label {
-            font-weight: 600;
-            color: #495057;
-        }
-        
-        select, button {
-            padding: 10px 15px;
-            border: 2px solid #dee2e6;
-            border-radius: 8px;
-            font-size: 14px;
-            transition: all 0.3s ease;
-        }
-        
-        select:focus, button:focus {
-            outline: none;
-            border-color: #4facfe;
-            box-shadow: 0 0 0 3px rgba(79, 172, 254, 0.2);
-        }
-        
-        button {
-            background: linear-gradient(135deg, #4facfe 0%, #00f2fe 100%);
-            color: white;
-            border: none;
-            cursor: pointer;
-            font-weight: 600;
-        }
-        
-        button:hover {
-            transform: translateY(-2px);
-            box-shadow: 0 5px 15px rgba(79, 172, 254, 0.4);
-        }
-        
-        .stats {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-            gap: 20px;
-            padding: 25px;
-            background: #f8f9fa;
+        countDropped('invalid', invalid);
+        res.json({
+            partialSuccess: {
+                rejectedLogRecords: String(rejected.length),
+                errorMessage: Array.from(new Set(rejected)).join('; ')
+            }
+        });
+    } catch (error) {
+        console.error('Error in /v1/logs:', error);
+        res.status(500).json({ code: 13, message: 'Internal server error' });
+    }
+});
+
+// The project the API key belongs to, for the dashboard header
+app.get('/api/project', requireAdminKey, (req, res) => {
+    res.json({
+        success: true,
+        project: { id: req.project.id, name: projects.authEnabled ? req.project.name : null }
+    });
+});
+
+// Event type registry
+app.get('/api/types', requireIngestKey, (req, res) => {
+    res.json({ success: true, types: types.list() });
+});
+
+app.put('/api/types/:name', requireAdminKey, async (req, res) => {
+    try {
+        const type = types.define({ ...req.body, name: req.params.name });
+        await types.save();
+        res.json({ success: true, type });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/api/types/:name', requireAdminKey, async (req, res) => {
+    try {
+        if (!types.remove(req.params.name)) {
+            return res.status(404).json({ success: false, error: 'Unknown event type' });
         }
-        
-        .stat-card {
-            background: white;
-            padding: 20px;
-            border-radius: 10px;
-            text-align: center;
-            box-shadow: 0 5px 15px rgba(0,0,0,0.08);
-            border: 2px solid transparent;
-            transition: all 0.3s ease;
+        await types.save();
+        // Existing entries of the type are kept and can still be queried
+        res.json({ success: true, message: `${req.params.name} type removed` });
+    } catch (error) {
+        console.error('Error removing type:', error);
+        res.status(500).json({ success: false, error: 'Failed to save event types' });
+    }
+});
+
+// Query logs endpoint, newest first with cursor-based pagination
+app.get('/api/logs', requireAdminKey, async (req, res) => {
+    try {
+        const { filter, error } = parseLogQuery(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, error });
         }
-        
-        .stat-card:hover {
-            transform: translateY(-5px);
-            border-color: #4facfe;
+        resolveFilterType(filter);
+
+        const store = await stores.get(req.project.id);
+        const { logs, nextCursor } = await store.query(filter);
+
+        // Entries logged before their source map was uploaded are symbolicated on view
+        for (const log of logs) {
+            if (!log.symbolicated) {
+                log.symbolicated = await sourceMaps.symbolicate(log).catch(() => null) || undefined;
+            }
         }
-        
-        .stat-number {
-            font-size: 2em;
-            font-weight: bold;
-            color: #4facfe;
+
+        res.json({
+            success: true,
+            logs,
+            count: logs.length,
+            nextCursor
+        });
+    } catch (error) {
+        console.error('Error reading logs:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to read logs'
+        });
+    }
+});
+
+const MAX_STREAM_REPLAY = 1000;
+const STREAM_HEARTBEAT_MS = 25000;
+
+// Live tail over Server-Sent Events. Accepts the same filters as /api/logs; clients
+// that reconnect with Last-Event-ID (or ?lastEventId=) first get what they missed.
+app.get('/api/logs/stream', requireAdminKey, async (req, res) => {
+    const { filter, error } = parseLogQuery(req.query);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+    resolveFilterType(filter);
+
+    const projectId = req.project.id;
+    let store;
+    try {
+        store = await stores.get(projectId);
+    } catch (storeError) {
+        console.error('Error opening log stream:', storeError);
+        return res.status(500).json({ success: false, error: 'Failed to read logs' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let lastSentId = req.get('Last-Event-ID') || req.query.lastEventId || '';
+    const send = entry => {
+        if (entry.id <= lastSentId) {
+            return;
         }
-        
-        .stat-label {
-            color: #6c757d;
-            font-weight: 600;
-            margin-top: 5px;
+        lastSentId = entry.id;
+        res.write(`id: ${entry.id}\nevent: entry\ndata: ${JSON.stringify(entry)}\n\n`);
+    };
+
+    // Entries written while the backlog is being replayed wait here so order is kept
+    let buffered = [];
+    const onEntry = entry => {
+        if (entry.project !== projectId || !matchesFilter(entry, filter)) {
+            return;
         }
-        
-        .logs-container {
-            padding: 25px;
-            max-height: 600px;
-            overflow-y: auto;
+        if (buffered) {
+            buffered.push(entry);
+        } else {
+            send(entry);
         }
-        
-        .log-entry {
-            background: #f8f9fa;
-            border: 1px solid #e9ecef;
-            border-radius: 10px;
-            padding: 20px;
-            margin-bottom: 15px;
-            transition: all 0.3s ease;
-            position: relative;
+    };
+    logger.on('entry', onEntry);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        logger.removeListener('entry', onEntry);
+    });
+
+    res.write('retry: 3000\n\n');
+
+    if (lastSentId) {
+        try {
+            const missed = [];
+            for await (const entry of store.entries()) {
+                if (entry.id <= lastSentId || missed.length >= MAX_STREAM_REPLAY) {
+                    break;
+                }
+                if (matchesFilter(entry, filter)) {
+                    missed.push(entry);
+                }
+            }
+            missed.reverse().forEach(send);
+        } catch (replayError) {
+            console.error('Error replaying missed logs:', replayError);
         }
-        
-        .log-entry:hover {
-            transform: translateX(5px);
-            box-shadow: 0 5px 15px rgba(0,0,0,0.1);
+    }
+
+    buffered.forEach(send);
+    buffered = null;
+});
+
+// Streams every entry matching the /api/logs filters, oldest first, as CSV or NDJSON,
+// gzip-compressed with gzip=true. limit and cursor do not apply.
+app.get('/api/logs/export', requireAdminKey, async (req, res) => {
+    const { filter, error } = parseLogQuery(req.query);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+    resolveFilterType(filter);
+
+    const format = req.query.format || 'ndjson';
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({
+            success: false,
+            error: `Invalid format. Allowed formats: ${EXPORT_FORMATS.join(', ')}`
+        });
+    }
+    const gzip = req.query.gzip === 'true' || req.query.gzip === '1';
+
+    let store;
+    try {
+        store = await stores.get(req.project.id);
+    } catch (storeError) {
+        console.error('Error opening export:', storeError);
+        return res.status(500).json({ success: false, error: 'Failed to export logs' });
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    const filename = `nogger-${req.project.id}-${date}.${format}${gzip ? '.gz' : ''}`;
+    res.set({
+        'Content-Type': gzip ? 'application/gzip' : format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+        'Content-Disposition': `attachment; filename="${filename}"`
+    });
+
+    const streams = [createExportStream(() => store.scan(filter), format)];
+    if (gzip) {
+        streams.push(zlib.createGzip());
+    }
+    stream.pipeline(...streams, res, pipelineError => {
+        if (pipelineError && pipelineError.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+            console.error('Error exporting logs:', pipelineError);
         }
-        
-        .log-entry.error {
-            border-left: 5px solid #dc3545;
-            background: #fff5f5;
+    });
+});
+
+// Aggregated counts and time series. Accepts the /api/logs filters plus
+// interval (minute, hour, day), top and metadataKey.
+app.get('/api/stats', requireAdminKey, async (req, res) => {
+    try {
+        const { filter, error } = parseLogQuery(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, error });
         }
-        
-        .log-entry.api-failed {
-            border-left: 5px solid #fd7e14;
-            background: #fff8f0;
+        resolveFilterType(filter);
+
+        const { options, error: optionsError } = parseStatsOptions(filter, req.query);
+        if (optionsError) {
+            return res.status(400).json({ success: false, error: optionsError });
         }
-        
-        .log-entry.log {
-            border-left: 5px solid #28a745;
-            background: #f0fff4;
+
+        const store = await stores.get(req.project.id);
+        const stats = await store.stats(filter, options);
+
+        res.json({ success: true, ...stats });
+    } catch (error) {
+        console.error('Error computing stats:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to compute stats'
+        });
+    }
+});
+
+// Release health: error and API failure rates per appVersion, newest first, each
+// compared with the version before it. Accepts the /api/logs filters (platform,
+// environment, ...) plus from/to, interval, types, threshold and minEvents.
+app.get('/api/releases', requireAdminKey, async (req, res) => {
+    try {
+        const { filter, error } = parseLogQuery(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, error });
         }
-        
-        .log-header {
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            margin-bottom: 10px;
+
+        const { options, error: optionsError } = parseReleaseOptions(filter, req.query, types);
+        if (optionsError) {
+            return res.status(400).json({ success: false, error: optionsError });
         }
-        
-        .log-type {
-            background: #6c757d;
-            color: white;
-            padding: 4px 12px;
-            border-radius: 20px;
-            font-size: 12px;
-            font-weight: 600;
-            text-transform: uppercase;
+
+        // Rates need every event of a version, so the type filter does not apply
+        const store = await stores.get(req.project.id);
+        const releases = await computeReleases(
+            store.scan({ ...filter, type: undefined, from: options.from, to: options.to }),
+            options
+        );
+
+        res.json({ success: true, ...releases });
+    } catch (error) {
+        console.error('Error computing release health:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to compute release health'
+        });
+    }
+});
+
+// Failed API requests grouped by method and route template (`/users/123` counts as
+// `/users/:id`) with status codes and p50/p95 durations. Accepts the /api/logs filters
+// (api-failed entries by default) plus from/to, sort and limit.
+app.get('/api/endpoints', requireAdminKey, async (req, res) => {
+    try {
+        const { filter, error } = parseLogQuery({ type: FAILURE_TYPE, ...req.query });
+        if (error) {
+            return res.status(400).json({ success: false, error });
         }
-        
-        .log-type.error { background: #dc3545; }
-        .log-type.api-failed { background: #fd7e14; }
-        .log-type.log { background: #28a745; }
-        
-        .log-timestamp {
-            color: #6c757d;
-            font-size: 12px;
-            font-family: 'Courier New', monospace;
+        resolveFilterType(filter);
+
+        const { options, error: optionsError } = parseEndpointOptions(filter, req.query);
+        if (optionsError) {
+            return res.status(400).json({ success: false, error: optionsError });
         }
-        
-        .log-title {
-            font-size: 1.2em;
-            font-weight: 600;
-            color: #212529;
-            margin-bottom: 8px;
+
+        const store = await stores.get(req.project.id);
+        const report = await computeEndpoints(
+            store.scan({ ...filter, from: options.from, to: options.to }),
+            options
+        );
+
+        res.json({ success: true, ...report });
+    } catch (error) {
+        console.error('Error computing endpoint report:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to compute endpoint report'
+        });
+    }
+});
+
+// Deletes the entries matching the /api/logs filters, a list of ids (id=a,b) or
+// olderThanDays=N. dryRun=true only counts them; all=true is needed to delete everything.
+// Issues the entries were grouped into are rebuilt from what is left (or dropped) and
+// alerts raised for them leave the alert history. Copies already forwarded to sinks or
+// delivered to alert webhooks are outside Nogger and are not touched. Legacy
+// `*_logs.txt` files are not searched either; they are deleted once imported at startup.
+app.delete('/api/logs', requireAdminKey, async (req, res) => {
+    try {
+        const { filter, dryRun, error } = parseDeleteQuery(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, error });
         }
-        
-        .log-description {
-            color: #6c757d;
-            line-height: 1.4;
-            margin-bottom: 10px;
+        resolveFilterType(filter);
+
+        // Entries waiting in the write buffer's spool (storage was down) are matched too
+        const store = await stores.get(req.project.id);
+        if (dryRun) {
+            const spooled = await writeBuffer.deleteSpooled(req.project.id, filter, { dryRun });
+            const matched = await store.delete(filter, { dryRun });
+            return res.json({ success: true, dryRun: true, matched: matched + spooled.length });
         }
-        
-        .log-metadata {
-            background: #e9ecef;
-            padding: 10px;
-            border-radius: 5px;
-            font-family: 'Courier New', monospace;
-            font-size: 12px;
-            color: #495057;
-            max-height: 150px;
-            overflow-y: auto;
+
+        // Issues and alerts keep copies of entry text, so find the ones that refer to
+        // the entries before they are gone
+        const alertedIds = alerts.entryIdsFor(req.project.id);
+        const fingerprints = new Set();
+        const forgottenAlerts = new Set();
+        const noteEntry = entry => {
+            if (entry.fingerprint) {
+                fingerprints.add(entry.fingerprint);
+            }
+            if (alertedIds.has(entry.id)) {
+                forgottenAlerts.add(entry.id);
+            }
+        };
+
+        const spooled = await writeBuffer.deleteSpooled(req.project.id, filter);
+        spooled.forEach(noteEntry);
+        for await (const entry of store.scan(filter)) {
+            noteEntry(entry);
         }
-        
-        .empty-state {
-            text-align: center;
-            padding: 50px;
-            color: #6c757d;
+
+        const deleted = spooled.length + await store.delete(filter);
+        const issueChanges = await issues.recompute(req.project.id, store, fingerprints);
+        const alertsRemoved = await alerts.forgetEntries(req.project.id, forgottenAlerts);
+
+        await audit.record(req.project.id, {
+            action: 'delete',
+            actor: req.get('X-Actor') || null,
+            keyRole: req.keyRole || null,
+            ip: req.ip,
+            userAgent: req.get('User-Agent') || null,
+            filter,
+            deleted,
+            issuesUpdated: issueChanges.updated,
+            issuesRemoved: issueChanges.removed,
+            alertsRemoved
+        });
+
+        res.json({
+            success: true,
+            deleted,
+            issuesUpdated: issueChanges.updated,
+            issuesRemoved: issueChanges.removed,
+            alertsRemoved
+        });
+    } catch (error) {
+        console.error('Error deleting logs:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete logs'
+        });
+    }
+});
+
+// Every event of a session in the order it happened on the device
+app.get('/api/sessions/:id', requireAdminKey, async (req, res) => {
+    try {
+        const store = await stores.get(req.project.id);
+        const session = await loadSession(store, req.params.id, { limit: parseSessionLimit(req.query.limit) });
+
+        if (session.total === 0) {
+            return res.status(404).json({ success: false, error: 'Session not found' });
         }
-        
-        .empty-state i {
-            font-size: 4em;
-            margin-bottom: 20px;
-            opacity: 0.3;
+        res.json({ success: true, ...session });
+    } catch (error) {
+        console.error('Error loading session:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load session'
+        });
+    }
+});
+
+// Source maps for release builds, keyed by platform and app version. The body is the
+// map itself: curl -X PUT -H 'X-API-Key: ...' --data-binary @index.android.bundle.map \
+//   /api/sourcemaps/android/1.4.0
+const sourceMapBody = express.text({ type: () => true, limit: SOURCEMAP_MAX_SIZE });
+
+function sourceMapKeyError(req) {
+    const { platform, version } = req.params;
+    if (!SourceMapStore.validKey(platform) || !SourceMapStore.validKey(version)) {
+        return 'platform and version may only contain letters, digits, ".", "_", "+" and "-"';
+    }
+    return null;
+}
+
+app.put('/api/sourcemaps/:platform/:version', requireAdminKey, sourceMapBody, async (req, res) => {
+    const keyError = sourceMapKeyError(req);
+    if (keyError) {
+        return res.status(400).json({ success: false, error: keyError });
+    }
+    if (typeof req.body !== 'string' || req.body.length === 0) {
+        return res.status(400).json({ success: false, error: 'Request body must be the source map' });
+    }
+
+    let map;
+    try {
+        map = SourceMap.parse(req.body);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: `Invalid source map: ${error.message}` });
+    }
+
+    try {
+        const sourceMap = await sourceMaps.save(req.project.id, req.params.platform, req.params.version, req.body, map);
+        res.status(201).json({ success: true, sourceMap });
+    } catch (error) {
+        console.error('Error saving source map:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save source map'
+        });
+    }
+});
+
+app.get('/api/sourcemaps', requireAdminKey, async (req, res) => {
+    try {
+        const list = await sourceMaps.list(req.project.id);
+        res.json({ success: true, sourceMaps: list, count: list.length });
+    } catch (error) {
+        console.error('Error listing source maps:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list source maps'
+        });
+    }
+});
+
+app.delete('/api/sourcemaps/:platform/:version', requireAdminKey, async (req, res) => {
+    const keyError = sourceMapKeyError(req);
+    if (keyError) {
+        return res.status(400).json({ success: false, error: keyError });
+    }
+
+    try {
+        const removed = await sourceMaps.remove(req.project.id, req.params.platform, req.params.version);
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'Source map not found' });
         }
-        
-        @media (max-width: 768px) {
-            .control-group {
-                flex-direction: column;
-                align-items: stretch;
-            }
-            
-            .stats {
-                grid-template-columns: 1fr;
-            }
-            
-            .log-header {
-                flex-direction: column;
-                align-items: flex-start;
-                gap: 10px;
-            }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting source map:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete source map'
+        });
+    }
+});
+
+// Who deleted what and when, newest first
+app.get('/api/audit', requireAdminKey, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+        const records = await audit.list(req.project.id, { limit });
+        res.json({ success: true, records, count: records.length });
+    } catch (error) {
+        console.error('Error reading audit log:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to read audit log'
+        });
+    }
+});
+
+app.get('/logs', requireAdminKey, (req, res) => {
+    res.set('Content-Security-Policy', DASHBOARD_CSP);
+    res.sendFile(path.join(publicDir, 'logs.html'));
+});
+
+app.get('/logs/endpoints', requireAdminKey, (req, res) => {
+    res.set('Content-Security-Policy', DASHBOARD_CSP);
+    res.sendFile(path.join(publicDir, 'endpoints.html'));
+});
+
+// Breadcrumbs: the events of one session around the entry given as `focus`, rendered
+// by public/session.js from /api/sessions/:id
+app.get('/logs/sessions/:id', requireAdminKey, (req, res) => {
+    res.set('Content-Security-Policy', DASHBOARD_CSP);
+    res.sendFile(path.join(publicDir, 'session.html'));
+});
+
+app.get('/logs/issues', requireAdminKey, (req, res) => {
+    res.set('Content-Security-Policy', DASHBOARD_CSP);
+    res.sendFile(path.join(publicDir, 'issues.html'));
+});
+
+// Issues: entries grouped by fingerprint
+app.get('/api/issues', requireAdminKey, async (req, res) => {
+    try {
+        const { status, type, sort } = req.query;
+        if (status && !ISSUE_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid status. Allowed statuses: ${ISSUE_STATUSES.join(', ')}`
+            });
         }
-        
-        .refresh-btn {
-            position: fixed;
-            bottom: 30px;
-            right: 30px;
-            width: 60px;
-            height: 60px;
-            border-radius: 50%;
-            background: linear-gradient(135deg, #4facfe 0%, #00f2fe 100%);
-            color: white;
-            border: none;
-            font-size: 20px;
-            cursor: pointer;
-            box-shadow: 0 5px 20px rgba(79, 172, 254, 0.4);
-            transition: all 0.3s ease;
+
+        const list = await issues.list(req.project.id, {
+            status,
+            type,
+            sort,
+            limit: Math.min(parseInt(req.query.limit, 10) || 100, 1000)
+        });
+        res.json({ success: true, issues: list, count: list.length });
+    } catch (error) {
+        console.error('Error reading issues:', error);
+        res.status(500).json({ success: false, error: 'Failed to read issues' });
+    }
+});
+
+app.get('/api/issues/:id', requireAdminKey, async (req, res) => {
+    try {
+        const issue = await issues.get(req.project.id, req.params.id);
+        if (!issue) {
+            return res.status(404).json({ success: false, error: 'Issue not found' });
         }
-        
-        .refresh-btn:hover {
-            transform: scale(1.1);
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>📊 Nogger</h1>
-            <p>Real-time monitoring of your React Native app logs</p>
-        </div>
-        
-        <div class="controls">
-            <div class="control-group">
-                <label for="logType">Filter by type:</label>
-                <select id="logType" onchange="filterLogs()">
-                    <option value="all" ${selectedType === 'all' ? 'selected' : ''}>All Logs</option>
-                    <option value="log" ${selectedType === 'log' ? 'selected' : ''}>Info Logs</option>
-                    <option value="error" ${selectedType === 'error' ? 'selected' : ''}>Error Logs</option>
-                    <option value="api-failed" ${selectedType === 'api-failed' ? 'selected' : ''}>API Failed</option>
-                </select>
-                
-                <label for="limitSelect">Show:</label>
-                <select id="limitSelect" onchange="filterLogs()">
-                    <option value="25" ${limit == 25 ? 'selected' : ''}>25 entries</option>
-                    <option value="50" ${limit == 50 ? 'selected' : ''}>50 entries</option>
-                    <option value="100" ${limit == 100 ? 'selected' : ''}>100 entries</option>
-                    <option value="200" ${limit == 200 ? 'selected' : ''}>200 entries</option>
-                </select>
-                
-                <button onclick="clearLogs()">🗑️ Clear Logs</button>
-                <button onclick="location.reload()">🔄 Refresh</button>
-            </div>
-        </div>
-        
-        <div class="logs-container">
-            ${logs.length === 0 || (logs.length === 1 && logs[0] === 'No logs found') ? `
-                <div class="empty-state">
-                    <div style="font-size: 4em; margin-bottom: 20px; opacity: 0.3;">📝</div>
-                    <h3>No logs found</h3>
-                    <p>Logs will appear here when your React Native app sends events</p>
-                </div>
-            ` : logs.map(log => {
-                if (typeof log === 'string') {
-                    // Simple log format
-                    const match = log.match(/\\[(.+?)\\] \\[(.+?)\\] (.+?)(?:\\s-\\s(.+))?$/);
-                    if (match) {
-                        const [, timestamp, type, title, description] = match;
-                        return `
-                            <div class="log-entry ${type.toLowerCase()}">
-                                <div class="log-header">
-                                    <span class="log-type ${type.toLowerCase()}">${type}</span>
-                                    <span class="log-timestamp">${new Date(timestamp).toLocaleString()}</span>
-                                </div>
-                                <div class="log-title">${title}</div>
-                                ${description ? `<div class="log-description">${description}</div>` : ''}
-                            </div>
-                        `;
-                    }
-                    return `
-                        <div class="log-entry">
-                            <div class="log-title">${log}</div>
-                        </div>
-                    `;
-                } else {
-                    // Detailed log format (JSON)
-                    return `
-                        <div class="log-entry ${log.type}">
-                            <div class="log-header">
-                                <span class="log-type ${log.type}">${log.type}</span>
-                                <span class="log-timestamp">${new Date(log.timestamp).toLocaleString()}</span>
-                            </div>
-                            <div class="log-title">${log.title}</div>
-                            ${log.description ? `<div class="log-description">${log.description}</div>` : ''}
-                            ${Object.keys(log.metadata).length > 0 ? `
-                                <div class="log-metadata">
-                                    <strong>Metadata:</strong><br>
-                                    ${JSON.stringify(log.metadata, null, 2)}
-                                </div>
-                            ` : ''}
-                        </div>
-                    `;
-                }
-            }).join('')}
-        </div>
-    </div>
-    
-    <script>
-        function filterLogs() {
-            const type = document.getElementById('logType').value;
-            const limit = document.getElementById('limitSelect').value;
-            const url = new URL(window.location);
-            url.searchParams.set('type', type);
-            url.searchParams.set('limit', limit);
-            window.location.href = url.toString();
+
+        const store = await stores.get(req.project.id);
+        const { logs } = await store.query({ fingerprint: issue.id, limit: 20 });
+        res.json({ success: true, issue, recentEvents: logs });
+    } catch (error) {
+        console.error('Error reading issue:', error);
+        res.status(500).json({ success: false, error: 'Failed to read issue' });
+    }
+});
+
+app.patch('/api/issues/:id', requireAdminKey, async (req, res) => {
+    try {
+        const { status } = req.body;
+        if (!ISSUE_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid status. Allowed statuses: ${ISSUE_STATUSES.join(', ')}`
+            });
         }
-        
-        async function clearLogs() {
-            if (confirm('Are you sure you want to clear all logs?')) {
-                try {
-                    const response = await fetch('/api/logs', { method: 'DELETE' });
-                    const result = await response.json();
-                    if (result.success) {
-                        alert('Logs cleared successfully');
-                        location.reload();
-                    } else {
-                        alert('Failed to clear logs: ' + result.error);
-                    }
-                } catch (error) {
-                    alert('Error clearing logs: ' + error.message);
-                }
-            }
+
+        const issue = await issues.setStatus(req.project.id, req.params.id, status);
+        if (!issue) {
+            return res.status(404).json({ success: false, error: 'Issue not found' });
         }
-        
-        // Auto-refresh every 30 seconds
-        setInterval(() => {
-            const refreshBtn = document.querySelector('.refresh-btn');
-            if (refreshBtn) {
-                refreshBtn.style.animation = 'pulse 0.5s ease';
-                setTimeout(() => {
-                    refreshBtn.style.animation = '';
-                }, 500);
-            }
-        }, 30000);
-    </script>
-    
-    <style>
-        @keyframes pulse {
-            0% { transform: scale(1); }
-            50% { transform: scale(1.2); }
-            100% { transform: scale(1); }
-        }
-    </style>
-</body>
-</html>
-        `;
-        
-        res.send(html);
+        res.json({ success: true, issue });
     } catch (error) {
-        console.error('Error generating logs page:', error);
-        res.status(500).send('<h1>Error loading logs</h1><p>' + error.message + '</p>');
+        console.error('Error updating issue:', error);
+        res.status(500).json({ success: false, error: 'Failed to update issue' });
     }
 });
 
+// Alert history and the rules that apply to the project
+app.get('/api/alerts', requireAdminKey, (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const history = alerts.recent({ project: req.project.id, limit });
+    res.json({ success: true, alerts: history, count: history.length });
+});
+
+app.get('/api/alerts/rules', requireAdminKey, (req, res) => {
+    res.json({ success: true, rules: alerts.rulesFor(req.project.id) });
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
     res.json({
         success: true,
         message: 'Logging API is running',
         timestamp: new Date().toISOString(),
-        version: '1.0.0'
+        version: '1.0.0',
+        droppedEvents,
+        writes: writeBuffer.status(),
+        sinks: sinks.status()
     });
 });
 
+// Prometheus scrape target. Set METRICS_TOKEN to require `Authorization: Bearer <token>`.
+app.get('/metrics', async (req, res) => {
+    const token = process.env.METRICS_TOKEN;
+    if (token && req.get('Authorization') !== `Bearer ${token}`) {
+        return res.status(401).type('text/plain').send('Unauthorized\n');
+    }
+
+    try {
+        res.type('text/plain; version=0.0.4').send(await metrics.render());
+    } catch (error) {
+        console.error('Error rendering metrics:', error);
+        res.status(500).type('text/plain').send('Failed to render metrics\n');
+    }
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
+    // Rejected by express.json() before reaching a route
+    const isIngestion = isIngestionRequest(req);
+    if (error.type === 'entity.too.large') {
+        if (isIngestion) {
+            countDropped('payloadTooLarge');
+        }
+        return res.status(413).json({
+            success: false,
+            error: `Request body is larger than ${req.path.startsWith('/api/sourcemaps') ? SOURCEMAP_MAX_SIZE : MAX_BODY_SIZE}`
+        });
+    }
+    if (error.type === 'entity.parse.failed') {
+        if (isIngestion) {
+            countDropped('invalid');
+        }
+        return res.status(400).json({
+            success: false,
+            error: 'Request body is not valid JSON'
+        });
+    }
+
     console.error('Unhandled error:', error);
     res.status(500).json({
         success: false,
@@ -668,24 +1258,112 @@ app.use((error, req, res, next) => {
     });
 });
 
+// Railway sends SIGTERM before stopping the container. New connections are refused,
+// requests already accepted finish, and then the write queue, issue counts and sinks
+// are drained before the process exits.
+let shuttingDown = false;
+
+async function shutdown(server, signal) {
+    if (shuttingDown) {
+        return;
+    }
+    shuttingDown = true;
+    console.log(`${signal} received, draining pending writes...`);
+
+    const deadline = Date.now() + SHUTDOWN_TIMEOUT_MS;
+    setTimeout(() => {
+        console.error(`Shutdown did not finish within ${SHUTDOWN_TIMEOUT_MS}ms, exiting`);
+        process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS).unref();
+
+    server.close();
+    try {
+        while (inFlightIngestion > 0) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        await writeBuffer.close();
+        await issues.flush();
+        // Sinks get what is left of the shutdown time, less a margin to exit cleanly
+        const dropped = await sinks.close({ timeoutMs: Math.max(0, deadline - Date.now() - 1000) });
+        if (dropped > 0) {
+            console.warn(`${dropped} entries were not forwarded to sinks before shutdown`);
+        }
+
+        const { spooled } = writeBuffer.status();
+        if (spooled > 0) {
+            console.warn(`${spooled} entries are still spooled and will be stored on the next start`);
+        }
+        process.exit(0);
+    } catch (error) {
+        console.error('Error during shutdown:', error);
+        process.exit(1);
+    }
+}
+
 // Initialize and start server
 async function startServer() {
     try {
         await ensureLogsDirectory();
         console.log('Logs directory ready');
+
+        await alerts.init();
+        console.log(`Alert rules loaded: ${alerts.rules.length}`);
+        if (sinks.runners.length > 0) {
+            console.log(`Forwarding to sinks: ${sinks.runners.map(runner => `${runner.name} (${runner.kind})`).join(', ')}`);
+        }
+
+        if (projects.authEnabled) {
+            console.log(`Projects: ${projects.list().map(project => project.id).join(', ')}`);
+        } else {
+            console.warn('⚠️  No projects configured: API keys are not required. See projects.example.json');
+        }
+
+        // Logs written before projects existed belong to the first project
+        const defaultProject = projects.defaultProject();
+        await migrateUnscopedLogs(logsDir, stores.dirFor(defaultProject.id));
+
+        const imported = await importLegacyLogs(logsDir, await stores.get(defaultProject.id));
+        if (imported > 0) {
+            console.log(`Imported ${imported} entries from legacy log files`);
+        }
+
+        const recovered = await writeBuffer.recover();
+        if (recovered > 0) {
+            console.log(`Found ${recovered} spooled entries from the previous run`);
+        }
+
+        const eventIds = await recentEventIds.load(stores, projects.list().map(project => project.id));
+        if (eventIds > 0) {
+            console.log(`Loaded ${eventIds} recent event ids for duplicate detection`);
+        }
         
-        app.listen(PORT, () => {
+        const server = app.listen(PORT, () => {
             console.log(`\n🚀 Logging API Server running on port ${PORT}`);
-            console.log(`📁 Logs are saved in: ${logsDir}`);
+            console.log(`📁 Logs are saved in: ${logsDir} (${STORAGE_ADAPTER} storage)`);
             console.log('\n📋 Available endpoints:');
             console.log(`   POST /api/log - Generic logging endpoint`);
-            console.log(`   POST /api/log/api-failed - API failure logs`);
-            console.log(`   POST /api/log/error - Error logs`);
-            console.log(`   POST /api/log/info - Info logs`);
-            console.log(`   GET /api/logs - View logs`);
+            console.log(`   POST /api/log/batch - Batch logging endpoint`);
+            console.log(`   POST /api/log/:type - Logs for one type (${types.names().join(', ')})`);
+            console.log(`   POST /v1/logs - OpenTelemetry logs (OTLP/HTTP JSON)`);
+            console.log(`   GET /api/logs - Query logs`);
+            console.log(`   GET /api/logs/stream - Live tail (Server-Sent Events)`);
+            console.log(`   GET /api/logs/export - Export as CSV or NDJSON`);
+            console.log(`   GET /api/stats - Counts and time series`);
+            console.log(`   GET /api/releases - Error rates and regressions per app version`);
+            console.log(`   GET /api/endpoints - API failures by route, status code and duration`);
+            console.log(`   GET /api/sessions/:id - Session timeline`);
+            console.log(`   GET|PUT|DELETE /api/types - Event type registry`);
+            console.log(`   GET|PATCH /api/issues - Grouped errors and API failures`);
+            console.log(`   GET /api/alerts - Alert history`);
             console.log(`   GET /api/health - Health check`);
-            console.log(`   DELETE /api/logs - Clear logs\n`);
+            console.log(`   GET /metrics - Prometheus metrics`);
+            console.log(`   GET|PUT|DELETE /api/sourcemaps - Source maps for symbolication`);
+            console.log(`   GET /api/audit - Deletion audit log`);
+            console.log(`   DELETE /api/logs - Delete logs by filter, id or age\n`);
         });
+
+        process.on('SIGTERM', () => shutdown(server, 'SIGTERM'));
+        process.on('SIGINT', () => shutdown(server, 'SIGINT'));
     } catch (error) {
         console.error('Failed to start server:', error);
         process.exit(1);
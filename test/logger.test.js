@@ -0,0 +1,68 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Logger } = require('../lib/logger');
+const { WriteBuffer } = require('../lib/write-buffer');
+const { FileLogStore } = require('../lib/storage/file');
+const { runQuery } = require('../lib/query');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function main() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nogger-logger-'));
+    try {
+        const store = new FileLogStore(dir);
+        await store.init();
+        const writeBuffer = new WriteBuffer({ get: async () => store }, { spoolDir: path.join(dir, '.spool'), fsync: 'off' });
+        const logger = new Logger(writeBuffer);
+
+        // Errors take longer to process, like a stack trace that is symbolicated
+        logger.use(async entry => {
+            if (entry.type === 'error') {
+                await delay(1 + Math.random() * 10);
+            }
+        });
+
+        // The live tail drops anything no newer than the last entry it sent
+        const tailed = [];
+        let lastSentId = '';
+        logger.on('entry', entry => {
+            if (entry.id > lastSentId) {
+                lastSentId = entry.id;
+                tailed.push(entry.id);
+            }
+        });
+
+        const writes = [];
+        for (let i = 0; i < 50; i++) {
+            writes.push(logger.log('error', `Error ${i}`));
+            writes.push(logger.log('log', `Log ${i}`));
+        }
+        await Promise.all(writes);
+        await writeBuffer.close();
+
+        assert.strictEqual(tailed.length, 100);
+
+        // Cursor paging visits every stored entry exactly once
+        const paged = [];
+        let cursor;
+        do {
+            const page = await runQuery(store.entries(), { limit: 3, cursor });
+            paged.push(...page.logs.map(entry => entry.id));
+            cursor = page.nextCursor;
+        } while (cursor);
+
+        assert.strictEqual(new Set(paged).size, 100);
+        assert.deepStrictEqual(paged, [...tailed].reverse());
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    console.log('logger: ok');
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
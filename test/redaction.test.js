@@ -0,0 +1,35 @@
+const assert = require('assert');
+const { Redactor } = require('../lib/redaction');
+
+const redactor = new Redactor();
+
+// JavaScriptCore stack frames have to survive for symbolication and fingerprinting
+const stack = [
+    'render@main.jsbundle:1:2345',
+    'onPress@http://localhost:8081/index.bundle?platform=ios&dev=true:120:14',
+    'handler@cdn.example.com/app.js:10:5',
+    'global code@main.jsbundle:1:10'
+].join('\n');
+const entry = {
+    title: 'TypeError: undefined is not an object',
+    description: 'Thrown for jane.doe@example.com',
+    metadata: { stack }
+};
+redactor.redactEntry(entry);
+
+assert.strictEqual(entry.metadata.stack, stack);
+assert.strictEqual(entry.description, 'Thrown for [REDACTED:email]');
+assert.deepStrictEqual(entry.redactions, ['email']);
+
+// Addresses followed by ordinary punctuation are still masked
+const text = redactor.redactString('Mail ops@example.com: failed, cc a.b@example.org.', new Set());
+assert.strictEqual(text, 'Mail [REDACTED:email]: failed, cc [REDACTED:email].');
+
+// Context fields are stored at the top level of the entry and are masked as well
+const withContext = { title: 'Signed in', metadata: {}, userId: 'jane@example.com', sessionId: 's1' };
+redactor.redactEntry(withContext);
+assert.strictEqual(withContext.userId, '[REDACTED:email]');
+assert.strictEqual(withContext.sessionId, 's1');
+assert.deepStrictEqual(withContext.redactions, ['email']);
+
+console.log('redaction: ok');
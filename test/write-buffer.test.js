@@ -0,0 +1,120 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createId } = require('../lib/logger');
+const { WriteBuffer } = require('../lib/write-buffer');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// In-memory store that fails every append while `failing` is set
+function createStore() {
+    return {
+        failing: false,
+        appends: 0,
+        stored: [],
+        async append(entries) {
+            if (this.failing) {
+                throw new Error('storage is down');
+            }
+            this.appends++;
+            this.stored.push(...entries);
+        },
+        async *entries() {
+            yield* [...this.stored].reverse();
+        }
+    };
+}
+
+function entry(title) {
+    return { id: createId(), timestamp: new Date().toISOString(), type: 'log', title, metadata: {} };
+}
+
+function spoolLines(spoolDir) {
+    const file = path.join(spoolDir, 'app.ndjson');
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).length : 0;
+}
+
+async function main() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nogger-write-buffer-'));
+    const spoolDir = path.join(dir, '.spool');
+    const options = { spoolDir, fsync: 'off', retryBaseMs: 20, retryMaxMs: 20 };
+
+    try {
+        // Concurrent writes share one append
+        let store = createStore();
+        let buffer = new WriteBuffer({ get: async () => store }, options);
+        const results = await Promise.all([1, 2, 3].map(i => buffer.write('app', entry(`group ${i}`))));
+        assert.deepStrictEqual(results, [{ spooled: false }, { spooled: false }, { spooled: false }]);
+        assert.strictEqual(store.appends, 1);
+        await buffer.close();
+
+        // While storage is down writes are spooled, and later ones queue behind them
+        store = createStore();
+        store.failing = true;
+        buffer = new WriteBuffer({ get: async () => store }, { ...options, retryBaseMs: 60000, retryMaxMs: 60000 });
+        const written = [];
+        for (let i = 0; i < 5; i++) {
+            written.push(entry(`spooled ${i}`));
+            assert.deepStrictEqual(await buffer.write('app', written[i]), { spooled: true });
+            if (i === 2) {
+                store.failing = false;
+            }
+        }
+        assert.strictEqual(store.stored.length, 0);
+        assert.strictEqual(buffer.status().spooled, 5);
+        assert.strictEqual(spoolLines(spoolDir), 5);
+
+        // close() makes a last attempt at the spool and replays it in write order
+        await buffer.close();
+        assert.deepStrictEqual(store.stored.map(item => item.id), written.map(item => item.id));
+        assert.strictEqual(buffer.status().spooled, 0);
+        assert.strictEqual(spoolLines(spoolDir), 0);
+
+        // The retry timer replays the spool once storage is back
+        store = createStore();
+        store.failing = true;
+        buffer = new WriteBuffer({ get: async () => store }, options);
+        const retried = [entry('retried 1'), entry('retried 2')];
+        await Promise.all(retried.map(item => buffer.write('app', item)));
+        store.failing = false;
+        await delay(100);
+        await buffer.flush();
+        assert.deepStrictEqual(store.stored.map(item => item.id), retried.map(item => item.id));
+        assert.strictEqual(buffer.status().spooled, 0);
+
+        // Writes still queued when close() is called are committed before it resolves
+        const queued = [entry('queued 1'), entry('queued 2')];
+        const pending = queued.map(item => buffer.write('app', item));
+        await buffer.close();
+        assert.deepStrictEqual(await Promise.all(pending), [{ spooled: false }, { spooled: false }]);
+        assert.deepStrictEqual(store.stored.slice(-2).map(item => item.id), queued.map(item => item.id));
+
+        // A spool left behind by a crash is replayed on startup, skipping entries that
+        // already made it into storage
+        store = createStore();
+        store.failing = true;
+        buffer = new WriteBuffer({ get: async () => store }, { ...options, retryBaseMs: 60000, retryMaxMs: 60000 });
+        const crashed = [entry('crashed 1'), entry('crashed 2'), entry('crashed 3')];
+        for (const item of crashed) {
+            await buffer.write('app', item);
+        }
+        store.failing = false;
+        store.stored.push(crashed[0]);
+
+        buffer = new WriteBuffer({ get: async () => store }, options);
+        assert.strictEqual(await buffer.recover(), 3);
+        assert.deepStrictEqual(store.stored.map(item => item.id), crashed.map(item => item.id));
+        assert.strictEqual(spoolLines(spoolDir), 0);
+        await buffer.close();
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    console.log('write-buffer: ok');
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});